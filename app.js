@@ -8,6 +8,8 @@ const state = {
     currentTool: 'arrow',
     currentColor: '#FF4D4F',
     strokeWidth: 3,
+    blurMode: 'pixelate',
+    blurStrength: 10,
     isDrawing: false,
     startX: 0,
     startY: 0,
@@ -18,12 +20,286 @@ const state = {
     isSelectingArea: false,
     areaSelectionCanvas: null,
     areaSelectionCtx: null,
+    areaSourceCtx: null,
+    areaSelection: null,
+    areaDrag: null,
+    areaPointer: null,
+    areaEyedropper: false,
+    areaEdges: null,
+    areaHover: null,
+    ocrEngine: null,
+    redaction: null,
+    ocrResult: null,
     capturedStream: null,
-    tempTextX: 0,
-    tempTextY: 0,
+    captureVideo: null,
+    zoom: null,
+    panDrag: null,
+    pinch: null,
+    touchPointers: new Map(),
+    isSpaceHeld: false,
+    minimapFrame: null,
+    pendingImport: null,
+    countdown: null,
+    recording: null,
+    clip: null,
+    clipFrame: null,
+    burstPick: null,
+    imageCache: new Map(),
+    stampImages: new Map(),
+    textEditor: null,
+    textStyle: null,
+    shapeStyle: null,
+    spotlightStyle: null,
+    spotlightPreview: null,
+    spotlightLayer: null,
+    spotlightBlur: null,
+    shapeLayer: null,
+    magnifierStyle: null,
+    magnifierSource: null,
+    nextAnnotationId: 1,
+    selectedId: null,
+    layerDragId: null,
+    selectionDrag: null,
+    currentPath: null,
+    pendingRestyle: null,
+    undoStack: [],
+    redoStack: [],
+    sessionId: null,
+    documents: [],
+    activeDocumentId: null,
+    nextDocumentId: 1,
+    filmstripDragId: null,
+    sessionDB: null,
+    autosaveTimer: null,
+    exportSettings: null,
     theme: 'light'
 };
 
+// Selection hit-testing sizes, in screen pixels
+const HIT_TOLERANCE = 6;
+const HANDLE_SIZE = 8;
+
+// Tools that record a point path instead of start/end points
+const FREEHAND_TOOLS = ['pen', 'marker'];
+const FREEHAND_SIMPLIFY_TOLERANCE = 0.75;
+const MARKER_WIDTH_FACTOR = 4;
+const MARKER_OPACITY = 0.4;
+
+// Text annotation fonts and layout
+const TEXT_FONTS = {
+    sans: 'Inter, sans-serif',
+    serif: 'Georgia, serif',
+    mono: '"Courier New", monospace',
+    hand: '"Comic Sans MS", "Comic Neue", cursive'
+};
+const TEXT_STYLE_KEYS = ['fontFamily', 'fontSize', 'fontWeight', 'background'];
+const DEFAULT_TEXT_STYLE = {
+    fontFamily: 'sans',
+    fontSize: 24,
+    fontWeight: 'normal',
+    background: 'none'
+};
+const TEXT_LINE_HEIGHT = 1.25;
+const TEXT_BOX_PADDING = 0.3;
+
+// Layers panel icons and default names, matching the toolbar
+const LAYER_TYPES = {
+    arrow: { icon: '➡️', name: 'Arrow' },
+    rect: { icon: '▭', name: 'Rectangle' },
+    circle: { icon: '○', name: 'Circle' },
+    highlight: { icon: '✨', name: 'Highlight' },
+    blur: { icon: '🔒', name: 'Redaction' },
+    spotlight: { icon: '🔦', name: 'Spotlight' },
+    magnifier: { icon: '🔎', name: 'Magnifier' },
+    text: { icon: 'T', name: 'Text' },
+    step: { icon: '①', name: 'Step' },
+    pen: { icon: '✏️', name: 'Pen' },
+    marker: { icon: '🖍️', name: 'Marker' },
+    image: { icon: '🖼️', name: 'Image' }
+};
+
+// Shape styling saved on arrows, rectangles, circles and highlights
+const SHAPE_TOOLS = ['arrow', 'rect', 'circle', 'highlight'];
+const DEFAULT_SHAPE_STYLE = {
+    fill: false,
+    fillColor: '#FFFFFF',
+    lineStyle: 'solid',
+    opacity: 1,
+    arrowhead: 'open',
+    curve: 0,
+    cornerRadius: 0,
+    shadow: false
+};
+const SHAPE_STYLE_KEYS = Object.keys(DEFAULT_SHAPE_STYLE);
+const SHAPE_STYLE_OPTIONS = {
+    arrow: ['lineStyle', 'opacity', 'arrowhead', 'curve', 'shadow'],
+    rect: ['fill', 'fillColor', 'lineStyle', 'opacity', 'cornerRadius', 'shadow'],
+    circle: ['fill', 'fillColor', 'lineStyle', 'opacity', 'shadow'],
+    highlight: ['opacity', 'cornerRadius']
+};
+const HIGHLIGHT_OPACITY = 0.25;
+const ARROW_CURVE = 0.25;
+
+// Spotlights dim, or blur and dim, everything outside their regions
+const DEFAULT_SPOTLIGHT_STYLE = {
+    shape: 'rect',
+    dimMode: 'dim',
+    dimOpacity: 0.6,
+    feather: 12
+};
+const SPOTLIGHT_STYLE_KEYS = ['dimMode', 'dimOpacity', 'feather'];
+const SPOTLIGHT_BLUR = 6;
+
+// Magnifier callouts: zoom choices, gap between source and inset, and click-to-magnify size
+const DEFAULT_MAGNIFIER_STYLE = {
+    zoom: 3,
+    shape: 'circle'
+};
+const MAGNIFIER_STYLE_KEYS = Object.keys(DEFAULT_MAGNIFIER_STYLE);
+const MAGNIFIER_GAP = 32;
+const MAGNIFIER_MIN_SOURCE = 4;
+const MAGNIFIER_DEFAULT_SOURCE = 40;
+const MAGNIFIER_MAX_ZOOM = 8;
+
+// Annotations that change pixels; SVG export bakes them into the embedded image
+const PIXEL_EFFECT_TOOLS = ['blur', 'spotlight', 'magnifier'];
+
+// Numbered step badges; dragging further than this adds a leader line
+const STEP_LEADER_MIN_DISTANCE = 12;
+
+// Editor viewport zoom; a null state.zoom means fit to window
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+const MINIMAP_WIDTH = 160;
+
+// Area selection loupe: source pixels shown across it and their on-screen size
+const LOUPE_PIXELS = 15;
+const LOUPE_ZOOM = 8;
+const AREA_NUDGE_STEP = 10;
+const AREA_HANDLE_CURSORS = {
+    nw: 'nwse-resize', n: 'ns-resize', ne: 'nesw-resize', e: 'ew-resize',
+    se: 'nwse-resize', s: 'ns-resize', sw: 'nesw-resize', w: 'ew-resize'
+};
+
+// Area selection snapping; edges are detected on a downscaled copy of the capture
+const EDGE_ANALYSIS_MAX_SIZE = 1600;
+const EDGE_THRESHOLD = 28;
+const EDGE_MIN_LENGTH = 24;
+const EDGE_GAP_TOLERANCE = 3;
+const AREA_SNAP_DISTANCE = 8;
+const REGION_CANDIDATES = 4;
+const REGION_MIN_COVERAGE = 0.7;
+
+// Offline OCR: the browser's TextDetector when available, otherwise a
+// Tesseract.js build served from this site, so no image data leaves the machine
+const OCR_ENGINE_PATH = 'vendor/tesseract/';
+const OCR_LANGUAGE = 'eng';
+const OCR_MIN_HEIGHT = 48;
+
+// Sensitive data detectors, most specific first; a match claims its text
+const SENSITIVE_PATTERNS = [
+    { label: 'JWT', regex: /eyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{5,}/g },
+    { label: 'API key', regex: /\b(?:(?:sk|pk|rk)_(?:live|test)_\w{10,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{20,}|xox[abprs]-[\w-]{10,}|AIza[\w-]{35})/g },
+    { label: 'Email', regex: /[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}/g },
+    { label: 'Card number', regex: /\b\d(?:[ -]?\d){12,18}\b/g, validate: (value) => passesLuhnCheck(value) },
+    { label: 'IP address', regex: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+    { label: 'IP address', regex: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi },
+    { label: 'Phone number', regex: /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]?\d{3,4}(?![ .-]?\d)/g },
+    { label: 'Secret token', regex: /\b(?=[\w-]*\d)(?=[\w-]*[A-Za-z])[\w-]{32,}/g }
+];
+const REDACTION_PADDING = 3;
+
+// Delayed and burst capture settings, remembered between visits
+const DEFAULT_CAPTURE_SETTINGS = {
+    delay: 0,
+    burstCount: 1,
+    burstInterval: 1
+};
+
+// Screen recording and clip export
+const MAX_RECORDING_SECONDS = 300;
+const CLIP_EXPORT_FPS = 30;
+const GIF_FPS = 10;
+const GIF_MAX_WIDTH = 800;
+const GIF_MAX_FRAMES = 600;
+
+// Pasted or dropped overlays start at most this fraction of the canvas size
+const OVERLAY_MAX_FRACTION = 0.5;
+
+// Built-in stamps, drawn to images on first use
+const STAMPS = [
+    { id: 'bug', name: 'Bug', text: 'BUG', color: '#E53935' },
+    { id: 'fixed', name: 'Fixed', text: 'FIXED', color: '#2E7D32' },
+    { id: 'todo', name: 'To do', text: 'TODO', color: '#EF6C00' },
+    { id: 'new', name: 'New', text: 'NEW', color: '#1E88E5' },
+    { id: 'cursor', name: 'Cursor', cursor: true },
+    { id: 'check', name: 'Checkmark', emoji: '✅' },
+    { id: 'cross', name: 'Cross', emoji: '❌' },
+    { id: 'warning', name: 'Warning', emoji: '⚠️' },
+    { id: 'thumbs-up', name: 'Thumbs up', emoji: '👍' },
+    { id: 'point', name: 'Pointing hand', emoji: '👉' },
+    { id: 'star', name: 'Star', emoji: '⭐' },
+    { id: 'question', name: 'Question', emoji: '❓' }
+];
+const STAMP_SIZE = 64;
+const STAMP_PIXEL_RATIO = 2;
+
+// Rotation grip distance above an image overlay (screen pixels) and snapping step (degrees)
+const ROTATE_HANDLE_OFFSET = 24;
+const ROTATION_SNAP = 15;
+const ROTATION_SNAP_RANGE = 4;
+
+// Smallest crop or resize, in image pixels
+const MIN_IMAGE_SIZE = 8;
+const MAX_IMAGE_SIZE = 16384;
+
+// Maximum number of undoable steps kept in memory
+const HISTORY_LIMIT = 50;
+// Image snapshots kept for undoing crops, rotations, flips and resizes,
+// in pixels per open image (about 256 MB of canvas memory)
+const HISTORY_PIXEL_LIMIT = 64 * 1000 * 1000;
+
+// Editable project file format; bump the version when the layout changes
+const PROJECT_FORMAT = 'the-deets-project';
+const PROJECT_VERSION = 2;
+const PROJECT_EXTENSION = '.deets';
+
+// Autosave sessions kept in IndexedDB
+const SESSION_DB_NAME = 'the-deets';
+const SESSION_STORE = 'sessions';
+const AUTOSAVE_DELAY = 800;
+const RECENT_SESSION_LIMIT = 8;
+const THUMBNAIL_WIDTH = 160;
+
+// Export formats offered by the export dialog
+const EXPORT_FORMATS = {
+    png: { label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false },
+    jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+    webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true },
+    pdf: { label: 'PDF', mimeType: 'application/pdf', extension: 'pdf', lossy: true },
+    svg: { label: 'SVG', mimeType: 'image/svg+xml', extension: 'svg', lossy: false },
+    // Only offered while editing a recorded clip
+    webm: { label: 'WebM video', mimeType: 'video/webm', extension: 'webm', lossy: true, clip: true },
+    gif: { label: 'Animated GIF', mimeType: 'image/gif', extension: 'gif', lossy: false, clip: true }
+};
+
+const DEFAULT_EXPORT_SETTINGS = {
+    format: 'png',
+    quality: 0.9,
+    scale: 1,
+    filenameTemplate: 'the-deets-{timestamp}'
+};
+
+// Checksum table for ZIP entries
+const CRC32_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
 // DOM Elements
 const elements = {
     captureSection: document.getElementById('capture-section'),
@@ -32,44 +308,167 @@ const elements = {
     captureScreenBtn: document.getElementById('capture-screen-btn'),
     captureAreaBtn: document.getElementById('capture-area-btn'),
     imageUpload: document.getElementById('image-upload'),
+    shareSessionBtn: document.getElementById('share-session-btn'),
+    shareIndicator: document.getElementById('share-indicator'),
+    shareCaptureBtn: document.getElementById('share-capture-btn'),
+    shareAreaBtn: document.getElementById('share-area-btn'),
+    shareStopBtn: document.getElementById('share-stop-btn'),
+    recordBtn: document.getElementById('record-btn'),
+    recordingIndicator: document.getElementById('recording-indicator'),
+    recordingTime: document.getElementById('recording-time'),
+    recordingStopBtn: document.getElementById('recording-stop-btn'),
+    imageAdjustments: document.getElementById('image-adjustments'),
+    clipBar: document.getElementById('clip-bar'),
+    clipPlayBtn: document.getElementById('clip-play-btn'),
+    clipScrubber: document.getElementById('clip-scrubber'),
+    clipTrimRange: document.getElementById('clip-trim-range'),
+    clipTime: document.getElementById('clip-time'),
+    clipSetIn: document.getElementById('clip-set-in'),
+    clipSetOut: document.getElementById('clip-set-out'),
+    clipTrim: document.getElementById('clip-trim'),
+    clipShowFrom: document.getElementById('clip-show-from'),
+    clipShowUntil: document.getElementById('clip-show-until'),
+    clipShowAlways: document.getElementById('clip-show-always'),
+    clipTiming: document.getElementById('clip-timing'),
+    ocrTools: document.getElementById('ocr-tools'),
+    ocrToolsDivider: document.getElementById('ocr-tools-divider'),
+    detectSensitiveBtn: document.getElementById('detect-sensitive-btn'),
+    sidePanels: document.getElementById('side-panels'),
+    redactionPanel: document.getElementById('redaction-panel'),
+    redactionClose: document.getElementById('redaction-close'),
+    redactionStatus: document.getElementById('redaction-status'),
+    redactionList: document.getElementById('redaction-list'),
+    redactionPatterns: document.getElementById('redaction-patterns'),
+    redactionMode: document.getElementById('redaction-mode'),
+    redactionScan: document.getElementById('redaction-scan'),
+    redactionApply: document.getElementById('redaction-apply'),
+    ocrPanel: document.getElementById('ocr-panel'),
+    stampBtn: document.getElementById('stamp-btn'),
+    stampPanel: document.getElementById('stamp-panel'),
+    stampGrid: document.getElementById('stamp-grid'),
+    stampClose: document.getElementById('stamp-close'),
+    overlayUpload: document.getElementById('overlay-upload'),
+    layersBtn: document.getElementById('layers-btn'),
+    layersPanel: document.getElementById('layers-panel'),
+    layersStatus: document.getElementById('layers-status'),
+    layerList: document.getElementById('layer-list'),
+    layersClose: document.getElementById('layers-close'),
+    ocrClose: document.getElementById('ocr-close'),
+    ocrStatus: document.getElementById('ocr-status'),
+    ocrText: document.getElementById('ocr-text'),
+    ocrCopy: document.getElementById('ocr-copy'),
+    ocrInsert: document.getElementById('ocr-insert'),
+    captureDelay: document.getElementById('capture-delay'),
+    burstCount: document.getElementById('burst-count'),
+    burstInterval: document.getElementById('burst-interval'),
+    countdownOverlay: document.getElementById('countdown-overlay'),
+    countdownValue: document.getElementById('countdown-value'),
+    countdownCancel: document.getElementById('countdown-cancel'),
+    burstModal: document.getElementById('burst-modal'),
+    burstFrames: document.getElementById('burst-frames'),
+    burstCancel: document.getElementById('burst-cancel'),
     canvas: document.getElementById('editor-canvas'),
+    canvasWrapper: document.querySelector('.canvas-wrapper'),
+    minimap: document.getElementById('minimap'),
+    zoomOutBtn: document.getElementById('zoom-out-btn'),
+    zoomInBtn: document.getElementById('zoom-in-btn'),
+    zoomFitBtn: document.getElementById('zoom-fit-btn'),
+    zoomActualBtn: document.getElementById('zoom-100-btn'),
+    zoomDoubleBtn: document.getElementById('zoom-200-btn'),
+    zoomLevel: document.getElementById('zoom-level'),
     colorPicker: document.getElementById('color-picker'),
     strokeWidth: document.getElementById('stroke-width'),
+    blurOptions: document.getElementById('blur-options'),
+    blurMode: document.getElementById('blur-mode'),
+    blurStrength: document.getElementById('blur-strength'),
+    magnifierOptions: document.getElementById('magnifier-options'),
+    magnifierZoom: document.getElementById('magnifier-zoom'),
+    magnifierShape: document.getElementById('magnifier-shape'),
+    spotlightOptions: document.getElementById('spotlight-options'),
+    spotlightShape: document.getElementById('spotlight-shape'),
+    spotlightMode: document.getElementById('spotlight-mode'),
+    spotlightOpacity: document.getElementById('spotlight-opacity'),
+    spotlightFeather: document.getElementById('spotlight-feather'),
     undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
     clearBtn: document.getElementById('clear-btn'),
     downloadBtn: document.getElementById('download-btn'),
     shareBtn: document.getElementById('share-btn'),
+    saveProjectBtn: document.getElementById('save-project-btn'),
     backToCapture: document.getElementById('back-to-capture'),
+    filmstripList: document.getElementById('filmstrip-list'),
+    filmstripCapture: document.getElementById('filmstrip-capture'),
+    filmstripArea: document.getElementById('filmstrip-area'),
+    filmstripUpload: document.getElementById('filmstrip-upload'),
+    filmstripExport: document.getElementById('filmstrip-export'),
     toolBtns: document.querySelectorAll('.tool-btn[data-tool]'),
     areaOverlay: document.getElementById('area-selection-overlay'),
     areaCanvas: document.getElementById('area-selection-canvas'),
     cancelAreaSelection: document.getElementById('cancel-area-selection'),
+    confirmAreaSelection: document.getElementById('confirm-area-selection'),
+    areaEyedropperBtn: document.getElementById('area-eyedropper-btn'),
+    areaReadout: document.getElementById('area-readout'),
     confirmModal: document.getElementById('confirm-modal'),
     modalCancel: document.getElementById('modal-cancel'),
     modalConfirm: document.getElementById('modal-confirm'),
     modalMessage: document.getElementById('modal-message'),
-    textModal: document.getElementById('text-modal'),
-    textModalInput: document.getElementById('text-modal-input'),
-    textModalCancel: document.getElementById('text-modal-cancel'),
-    textModalOk: document.getElementById('text-modal-ok'),
+    textEditor: document.getElementById('text-editor'),
+    textOptions: document.getElementById('text-options'),
+    textFontFamily: document.getElementById('text-font-family'),
+    textFontSize: document.getElementById('text-font-size'),
+    textBoldBtn: document.getElementById('text-bold-btn'),
+    textBackground: document.getElementById('text-background'),
+    shapeOptions: document.getElementById('shape-options'),
+    shapeFillBtn: document.getElementById('shape-fill-btn'),
+    shapeFillColor: document.getElementById('shape-fill-color'),
+    shapeLineStyle: document.getElementById('shape-line-style'),
+    shapeOpacity: document.getElementById('shape-opacity'),
+    shapeArrowhead: document.getElementById('shape-arrowhead'),
+    shapeCurveBtn: document.getElementById('shape-curve-btn'),
+    shapeCornerRadius: document.getElementById('shape-corner-radius'),
+    shapeShadowBtn: document.getElementById('shape-shadow-btn'),
+    rotateLeftBtn: document.getElementById('rotate-left-btn'),
+    rotateRightBtn: document.getElementById('rotate-right-btn'),
+    flipHorizontalBtn: document.getElementById('flip-horizontal-btn'),
+    flipVerticalBtn: document.getElementById('flip-vertical-btn'),
+    resizeBtn: document.getElementById('resize-btn'),
+    importModal: document.getElementById('import-modal'),
+    importReplace: document.getElementById('import-replace'),
+    importTab: document.getElementById('import-tab'),
+    importOverlay: document.getElementById('import-overlay'),
+    importCancel: document.getElementById('import-cancel'),
+    resizeModal: document.getElementById('resize-modal'),
+    resizeWidth: document.getElementById('resize-width'),
+    resizeHeight: document.getElementById('resize-height'),
+    resizeKeepAspect: document.getElementById('resize-keep-aspect'),
+    resizePadding: document.getElementById('resize-padding'),
+    resizePaddingColor: document.getElementById('resize-padding-color'),
+    resizeCancel: document.getElementById('resize-cancel'),
+    resizeOk: document.getElementById('resize-ok'),
+    exportModal: document.getElementById('export-modal'),
+    exportFormat: document.getElementById('export-format'),
+    exportQuality: document.getElementById('export-quality'),
+    exportQualityField: document.getElementById('export-quality-field'),
+    exportAllField: document.getElementById('export-all-field'),
+    exportAll: document.getElementById('export-all'),
+    exportAllCount: document.getElementById('export-all-count'),
+    exportQualityValue: document.getElementById('export-quality-value'),
+    exportScale: document.getElementById('export-scale'),
+    exportFilename: document.getElementById('export-filename'),
+    exportPreview: document.getElementById('export-preview'),
+    exportCancel: document.getElementById('export-cancel'),
+    exportOk: document.getElementById('export-ok'),
     guideModal: document.getElementById('guide-modal'),
     guideBtn: document.getElementById('guide-btn'),
     guideClose: document.getElementById('guide-close'),
     themeBtn: document.getElementById('theme-btn'),
     themeIcon: document.getElementById('theme-icon'),
+    recentCaptures: document.getElementById('recent-captures'),
+    recentCapturesList: document.getElementById('recent-captures-list'),
     progressIndicator: document.getElementById('progress-indicator'),
     progressMessage: document.querySelector('.progress-message')
 };
 
-/**
- * Sanitize user input to prevent XSS
- */
-function sanitizeInput(input) {
-    const div = document.createElement('div');
-    div.textContent = input;
-    return div.innerHTML;
-}
-
 /**
  * Get accurate mouse position on canvas
  */
@@ -83,6 +482,21 @@ function getCanvasMousePosition(canvas, event) {
     };
 }
 
+/**
+ * Get canvas pixels per on-screen pixel
+ */
+function getCanvasScale() {
+    const rect = state.canvas.getBoundingClientRect();
+    return rect.width ? state.canvas.width / rect.width : 1;
+}
+
+/**
+ * Check whether a keyboard event target is a text field
+ */
+function isTypingTarget(target) {
+    return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
+}
+
 /**
  * Initialize application
  */
@@ -91,6 +505,12 @@ function init() {
     state.ctx = state.canvas.getContext('2d', { willReadFrequently: true });
     state.areaSelectionCanvas = elements.areaCanvas;
     state.areaSelectionCtx = state.areaSelectionCanvas.getContext('2d');
+    state.exportSettings = loadExportSettings();
+    state.textStyle = { ...DEFAULT_TEXT_STYLE };
+    state.shapeStyle = { ...DEFAULT_SHAPE_STYLE };
+    state.spotlightStyle = { ...DEFAULT_SPOTLIGHT_STYLE };
+    state.magnifierStyle = { ...DEFAULT_MAGNIFIER_STYLE };
+    loadCaptureSettings();
     
     // Load theme preference
     const savedTheme = localStorage.getItem('theme') || 'light';
@@ -102,12 +522,15 @@ function init() {
     
     attachEventListeners();
     checkBrowserSupport();
+    updateOcrTools();
     
     // Show guide for first-time users
     if (!localStorage.getItem('guide-seen')) {
         setTimeout(() => showGuideModal(), 500);
         localStorage.setItem('guide-seen', 'true');
     }
+    
+    offerSessionRestore();
 }
 
 /**
@@ -118,6 +541,39 @@ function attachEventListeners() {
     elements.captureScreenBtn.addEventListener('click', captureScreen);
     elements.captureAreaBtn.addEventListener('click', captureAreaStart);
     elements.imageUpload.addEventListener('change', handleImageUpload);
+    [elements.captureDelay, elements.burstCount, elements.burstInterval].forEach(input => {
+        input.addEventListener('change', saveCaptureSettings);
+    });
+    elements.shareSessionBtn.addEventListener('click', () => {
+        if (state.capturedStream) {
+            stopShareSession();
+        } else {
+            startShareSession();
+        }
+    });
+    elements.shareCaptureBtn.addEventListener('click', captureScreen);
+    elements.shareAreaBtn.addEventListener('click', captureAreaStart);
+    elements.shareStopBtn.addEventListener('click', stopShareSession);
+    elements.recordBtn.addEventListener('click', startRecording);
+    elements.recordingStopBtn.addEventListener('click', stopRecording);
+    elements.countdownCancel.addEventListener('click', cancelCountdown);
+    elements.burstCancel.addEventListener('click', () => resolveBurstPick(null));
+    
+    // Paste and drag-and-drop import
+    document.addEventListener('paste', handlePaste);
+    [elements.captureSection, elements.editorSection].forEach(section => {
+        section.addEventListener('dragover', handleDragOver);
+        section.addEventListener('dragleave', handleDragLeave);
+        section.addEventListener('drop', handleDrop);
+    });
+    // Stray drops elsewhere would navigate away from unsaved work
+    document.addEventListener('dragover', (e) => e.preventDefault());
+    document.addEventListener('drop', (e) => {
+        e.preventDefault();
+        // Reordering rebuilds the list, so the dragged item may never get its dragend
+        state.layerDragId = null;
+        state.filmstripDragId = null;
+    });
     
     // Tools
     elements.toolBtns.forEach(btn => {
@@ -127,46 +583,244 @@ function attachEventListeners() {
     // Style
     elements.colorPicker.addEventListener('input', (e) => {
         state.currentColor = e.target.value;
+        applyStyleChange({ color: state.currentColor });
     });
+    elements.colorPicker.addEventListener('change', commitRestyle);
     
     elements.strokeWidth.addEventListener('input', (e) => {
         state.strokeWidth = parseInt(e.target.value);
+        restyleSelection({ strokeWidth: state.strokeWidth });
+    });
+    elements.strokeWidth.addEventListener('change', commitRestyle);
+    
+    elements.blurMode.addEventListener('change', (e) => {
+        state.blurMode = e.target.value;
+        restyleSelection({ blurMode: state.blurMode });
+        commitRestyle();
+        updateToolOptions();
+    });
+    
+    elements.blurStrength.addEventListener('input', (e) => {
+        state.blurStrength = parseInt(e.target.value);
+        restyleSelection({ blurStrength: state.blurStrength });
+    });
+    elements.blurStrength.addEventListener('change', commitRestyle);
+    
+    elements.magnifierZoom.addEventListener('input', (e) => {
+        const zoom = parseFloat(e.target.value);
+        if (zoom >= 1 && zoom <= MAGNIFIER_MAX_ZOOM) {
+            state.magnifierStyle.zoom = zoom;
+            restyleSelection({ zoom });
+        }
+    });
+    elements.magnifierZoom.addEventListener('change', commitRestyle);
+    elements.magnifierShape.addEventListener('change', (e) => {
+        state.magnifierStyle.shape = e.target.value;
+        restyleSelection({ shape: state.magnifierStyle.shape });
+        commitRestyle();
+    });
+    
+    elements.spotlightShape.addEventListener('change', (e) => {
+        state.spotlightStyle.shape = e.target.value;
+    });
+    elements.spotlightMode.addEventListener('change', (e) => {
+        applySpotlightStyle({ dimMode: e.target.value });
+        commitRestyle();
+    });
+    elements.spotlightOpacity.addEventListener('input', (e) => applySpotlightStyle({ dimOpacity: parseInt(e.target.value) / 100 }));
+    elements.spotlightOpacity.addEventListener('change', commitRestyle);
+    elements.spotlightFeather.addEventListener('input', (e) => applySpotlightStyle({ feather: parseInt(e.target.value) }));
+    elements.spotlightFeather.addEventListener('change', commitRestyle);
+    
+    elements.textFontFamily.addEventListener('change', (e) => {
+        applyStyleChange({ fontFamily: e.target.value });
+        commitRestyle();
+    });
+    elements.textFontSize.addEventListener('input', (e) => {
+        const fontSize = parseInt(e.target.value);
+        if (fontSize >= 8 && fontSize <= 200) {
+            applyStyleChange({ fontSize });
+        }
+    });
+    elements.textFontSize.addEventListener('change', commitRestyle);
+    elements.textBoldBtn.addEventListener('click', () => {
+        applyStyleChange({ fontWeight: state.textStyle.fontWeight === 'bold' ? 'normal' : 'bold' });
+        commitRestyle();
+    });
+    elements.textBackground.addEventListener('change', (e) => {
+        applyStyleChange({ background: e.target.value });
+        commitRestyle();
+    });
+    
+    elements.shapeFillBtn.addEventListener('click', () => {
+        applyShapeStyle({ fill: !state.shapeStyle.fill });
+        commitRestyle();
+    });
+    elements.shapeFillColor.addEventListener('input', (e) => applyShapeStyle({ fillColor: e.target.value }));
+    elements.shapeFillColor.addEventListener('change', commitRestyle);
+    elements.shapeLineStyle.addEventListener('change', (e) => {
+        applyShapeStyle({ lineStyle: e.target.value });
+        commitRestyle();
+    });
+    elements.shapeOpacity.addEventListener('input', (e) => applyShapeStyle({ opacity: parseInt(e.target.value) / 100 }));
+    elements.shapeOpacity.addEventListener('change', commitRestyle);
+    elements.shapeArrowhead.addEventListener('change', (e) => {
+        applyShapeStyle({ arrowhead: e.target.value });
+        commitRestyle();
+    });
+    elements.shapeCurveBtn.addEventListener('click', () => {
+        applyShapeStyle({ curve: state.shapeStyle.curve ? 0 : ARROW_CURVE });
+        commitRestyle();
+    });
+    elements.shapeCornerRadius.addEventListener('input', (e) => {
+        const cornerRadius = parseInt(e.target.value);
+        if (cornerRadius >= 0 && cornerRadius <= 200) {
+            applyShapeStyle({ cornerRadius });
+        }
+    });
+    elements.shapeCornerRadius.addEventListener('change', commitRestyle);
+    elements.shapeShadowBtn.addEventListener('click', () => {
+        applyShapeStyle({ shadow: !state.shapeStyle.shadow });
+        commitRestyle();
     });
     
     // Canvas
-    elements.canvas.addEventListener('mousedown', startDrawing);
-    elements.canvas.addEventListener('mousemove', draw);
-    elements.canvas.addEventListener('mouseup', stopDrawing);
-    elements.canvas.addEventListener('mouseleave', stopDrawing);
-    elements.canvas.addEventListener('touchstart', handleTouchStart);
-    elements.canvas.addEventListener('touchmove', handleTouchMove);
-    elements.canvas.addEventListener('touchend', stopDrawing);
+    elements.canvas.addEventListener('pointerdown', startDrawing);
+    elements.canvas.addEventListener('pointermove', draw);
+    elements.canvas.addEventListener('pointerup', stopDrawing);
+    elements.canvas.addEventListener('pointerleave', stopDrawing);
+    elements.canvas.addEventListener('pointercancel', stopDrawing);
+    elements.canvas.addEventListener('dblclick', editTextAt);
+    
+    // Viewport
+    elements.canvasWrapper.addEventListener('wheel', handleCanvasWheel, { passive: false });
+    elements.canvasWrapper.addEventListener('scroll', scheduleMinimapUpdate);
+    elements.minimap.addEventListener('pointerdown', handleMinimapPointer);
+    elements.minimap.addEventListener('pointermove', handleMinimapPointer);
+    elements.zoomOutBtn.addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+    elements.zoomInBtn.addEventListener('click', () => zoomBy(ZOOM_STEP));
+    elements.zoomFitBtn.addEventListener('click', zoomToFit);
+    elements.zoomActualBtn.addEventListener('click', () => setZoom(1));
+    elements.zoomDoubleBtn.addEventListener('click', () => setZoom(2));
+    window.addEventListener('resize', () => {
+        if (state.zoom === null) {
+            applyZoom();
+        }
+    });
+    
+    // Inline text editor
+    elements.textEditor.addEventListener('input', resizeTextEditor);
+    elements.textEditor.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' || (e.key === 'Enter' && (e.ctrlKey || e.metaKey))) {
+            e.preventDefault();
+            e.stopPropagation();
+            commitTextEditor();
+        }
+    });
+    elements.textEditor.addEventListener('focusout', (e) => {
+        // Keep editing while the text style controls are used
+        if (!e.relatedTarget || !e.relatedTarget.closest('.toolbar')) {
+            commitTextEditor();
+        }
+    });
+    
+    // Recorded clips
+    elements.clipPlayBtn.addEventListener('click', toggleClipPlayback);
+    elements.clipScrubber.addEventListener('input', (e) => {
+        pauseClip();
+        seekClip(parseFloat(e.target.value));
+    });
+    elements.clipSetIn.addEventListener('click', () => setClipTrim('start'));
+    elements.clipSetOut.addEventListener('click', () => setClipTrim('end'));
+    elements.clipShowFrom.addEventListener('click', () => setSelectedTimeRange('start'));
+    elements.clipShowUntil.addEventListener('click', () => setSelectedTimeRange('end'));
+    elements.clipShowAlways.addEventListener('click', () => setSelectedTimeRange(null));
+    
+    // Sensitive data detection
+    elements.detectSensitiveBtn.addEventListener('click', openRedactionPanel);
+    elements.redactionClose.addEventListener('click', closeRedactionPanel);
+    elements.redactionScan.addEventListener('click', scanSensitiveData);
+    elements.redactionApply.addEventListener('click', applyRedactions);
+    elements.redactionMode.addEventListener('change', () => redrawCanvas());
+    elements.redactionPatterns.value = localStorage.getItem('redaction-patterns') || '';
+    elements.redactionPatterns.addEventListener('change', () => {
+        localStorage.setItem('redaction-patterns', elements.redactionPatterns.value);
+        updateRedactionFindings();
+    });
+    
+    // Stamps and image overlays
+    elements.stampBtn.addEventListener('click', openStampPanel);
+    elements.stampClose.addEventListener('click', closeStampPanel);
+    elements.overlayUpload.addEventListener('change', handleOverlayUpload);
+    
+    // Layers
+    elements.layersBtn.addEventListener('click', toggleLayersPanel);
+    elements.layersClose.addEventListener('click', toggleLayersPanel);
+    
+    // Text extraction
+    elements.ocrClose.addEventListener('click', closeOcrPanel);
+    elements.ocrCopy.addEventListener('click', copyOcrText);
+    elements.ocrInsert.addEventListener('click', insertOcrText);
+    elements.ocrText.addEventListener('input', updateOcrActions);
+    
+    // Image adjustments
+    elements.rotateLeftBtn.addEventListener('click', () => rotateImage(-1));
+    elements.rotateRightBtn.addEventListener('click', () => rotateImage(1));
+    elements.flipHorizontalBtn.addEventListener('click', () => flipImage(true));
+    elements.flipVerticalBtn.addEventListener('click', () => flipImage(false));
+    elements.resizeBtn.addEventListener('click', showResizeModal);
     
     // Actions
     elements.undoBtn.addEventListener('click', undo);
+    elements.redoBtn.addEventListener('click', redo);
     elements.clearBtn.addEventListener('click', () => showConfirmModal('Clear all annotations?', clearAnnotations));
-    elements.downloadBtn.addEventListener('click', downloadImage);
+    elements.downloadBtn.addEventListener('click', () => showExportModal());
     elements.shareBtn.addEventListener('click', shareImage);
+    elements.saveProjectBtn.addEventListener('click', saveProject);
     elements.backToCapture.addEventListener('click', () => {
-        if (state.annotations.length > 0) {
+        if (state.documents.length > 1) {
+            showConfirmModal(`Close all ${state.documents.length} open images?`, backToCapture);
+        } else if (state.annotations.length > 0) {
             showConfirmModal('Discard current annotations?', backToCapture);
         } else {
             backToCapture();
         }
     });
     
+    // Open images
+    elements.filmstripCapture.addEventListener('click', captureScreen);
+    elements.filmstripArea.addEventListener('click', captureAreaStart);
+    elements.filmstripUpload.addEventListener('change', handleFilmstripUpload);
+    elements.filmstripExport.addEventListener('click', () => showExportModal(true));
+    
     // Area selection
     elements.cancelAreaSelection.addEventListener('click', cancelAreaSelection);
     elements.areaCanvas.addEventListener('mousedown', startAreaDrag);
     elements.areaCanvas.addEventListener('mousemove', drawAreaSelection);
     elements.areaCanvas.addEventListener('mouseup', finishAreaSelection);
+    elements.areaCanvas.addEventListener('mouseleave', () => {
+        state.areaPointer = null;
+        state.areaHover = null;
+        renderAreaOverlay();
+    });
+    elements.areaCanvas.addEventListener('dblclick', confirmAreaSelection);
+    elements.confirmAreaSelection.addEventListener('click', confirmAreaSelection);
+    elements.areaEyedropperBtn.addEventListener('click', () => setAreaEyedropper(!state.areaEyedropper));
     
     // Modals
     elements.modalCancel.addEventListener('click', hideConfirmModal);
-    elements.textModalCancel.addEventListener('click', hideTextModal);
-    elements.textModalOk.addEventListener('click', submitTextModal);
-    elements.textModalInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') submitTextModal();
+    elements.importReplace.addEventListener('click', () => submitImportModal('replace'));
+    elements.importTab.addEventListener('click', () => submitImportModal('tab'));
+    elements.importOverlay.addEventListener('click', () => submitImportModal('overlay'));
+    elements.importCancel.addEventListener('click', hideImportModal);
+    elements.resizeCancel.addEventListener('click', hideResizeModal);
+    elements.resizeOk.addEventListener('click', submitResizeModal);
+    elements.resizeWidth.addEventListener('input', () => syncResizeAspect('width'));
+    elements.resizeHeight.addEventListener('input', () => syncResizeAspect('height'));
+    elements.exportCancel.addEventListener('click', hideExportModal);
+    elements.exportOk.addEventListener('click', submitExportModal);
+    [elements.exportFormat, elements.exportQuality, elements.exportScale, elements.exportFilename, elements.exportAll].forEach(input => {
+        input.addEventListener('input', updateExportModal);
     });
     
     // User guide
@@ -190,12 +844,33 @@ function attachEventListeners() {
         if (e.key === 'Escape') {
             hideAllModals();
             cancelAreaSelection();
+            cancelCountdown();
+        }
+        const key = e.key.toLowerCase();
+        if (isTypingTarget(e.target)) {
+            return;
+        }
+        if (handleAreaKey(e) || handleViewportKey(e)) {
+            return;
         }
-        if (e.ctrlKey && e.key === 'z') {
+        if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
             e.preventDefault();
             undo();
+        } else if ((e.ctrlKey || e.metaKey) && ((key === 'z' && e.shiftKey) || key === 'y')) {
+            e.preventDefault();
+            redo();
+        }
+        if ((e.key === 'Delete' || e.key === 'Backspace') && getSelectedAnnotation()) {
+            e.preventDefault();
+            deleteSelectedAnnotation();
+        }
+    });
+    document.addEventListener('keyup', (e) => {
+        if (e.key === ' ') {
+            setSpaceHeld(false);
         }
     });
+    window.addEventListener('blur', () => setSpaceHeld(false));
 }
 
 /**
@@ -214,675 +889,6778 @@ function checkBrowserSupport() {
 }
 
 /**
- * Capture entire screen
+ * Restore delay and burst choices from localStorage
  */
-async function captureScreen() {
-    showProgress('Capturing screen...');
+function loadCaptureSettings() {
+    let settings = { ...DEFAULT_CAPTURE_SETTINGS };
     try {
-        const stream = await navigator.mediaDevices.getDisplayMedia({
-            video: {
-                cursor: 'always',
-                width: { ideal: 1920 },
-                height: { ideal: 1080 }
-            },
-            audio: false
-        });
-        
-        const video = document.createElement('video');
-        video.srcObject = stream;
-        video.play();
-        
-        video.onloadedmetadata = () => {
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = video.videoWidth;
-            tempCanvas.height = video.videoHeight;
-            const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
-            tempCtx.drawImage(video, 0, 0);
-            
-            stream.getTracks().forEach(track => track.stop());
-            
-            const dataURL = tempCanvas.toDataURL('image/png');
-            loadImageToEditor(dataURL);
-            hideProgress();
-            showNotification('✅ Screen captured successfully', 'success');
-        };
+        settings = { ...settings, ...JSON.parse(localStorage.getItem('capture-settings') || '{}') };
     } catch (error) {
-        hideProgress();
-        console.error('Screen capture error:', error);
-        if (error.name === 'NotAllowedError') {
-            showNotification('❌ Screen capture permission denied', 'error');
-        } else {
-            showNotification('❌ Screen capture cancelled or failed', 'error');
-        }
+        console.error('Capture settings error:', error);
     }
+    elements.captureDelay.value = String(settings.delay);
+    elements.burstCount.value = String(settings.burstCount);
+    elements.burstInterval.value = String(settings.burstInterval);
+    // Fall back to defaults if a stored value is no longer offered
+    if (!elements.captureDelay.value) elements.captureDelay.value = String(DEFAULT_CAPTURE_SETTINGS.delay);
+    if (!elements.burstCount.value) elements.burstCount.value = String(DEFAULT_CAPTURE_SETTINGS.burstCount);
+    if (!elements.burstInterval.value) elements.burstInterval.value = String(DEFAULT_CAPTURE_SETTINGS.burstInterval);
+    updateBurstControls();
 }
 
 /**
- * Start area capture
+ * Read delay and burst choices from the capture section
  */
-async function captureAreaStart() {
-    showProgress('Capturing screen for area selection...');
-    try {
-        const stream = await navigator.mediaDevices.getDisplayMedia({
-            video: {
-                cursor: 'always',
-                width: { ideal: 1920 },
-                height: { ideal: 1080 }
-            },
-            audio: false
-        });
-        
+function getCaptureSettings() {
+    return {
+        delay: parseInt(elements.captureDelay.value) || 0,
+        burstCount: parseInt(elements.burstCount.value) || 1,
+        burstInterval: parseFloat(elements.burstInterval.value) || DEFAULT_CAPTURE_SETTINGS.burstInterval
+    };
+}
+
+/**
+ * Remember delay and burst choices
+ */
+function saveCaptureSettings() {
+    localStorage.setItem('capture-settings', JSON.stringify(getCaptureSettings()));
+    updateBurstControls();
+}
+
+/**
+ * Only offer a burst interval when burst mode is on
+ */
+function updateBurstControls() {
+    elements.burstInterval.disabled = getCaptureSettings().burstCount <= 1;
+}
+
+/**
+ * Ask the browser to share a screen, window or tab
+ */
+function requestDisplayStream() {
+    return navigator.mediaDevices.getDisplayMedia({
+        video: {
+            cursor: 'always',
+            width: { ideal: 1920 },
+            height: { ideal: 1080 }
+        },
+        audio: false
+    });
+}
+
+/**
+ * Stop every track of a display stream
+ */
+function stopStream(stream) {
+    stream?.getTracks().forEach(track => track.stop());
+}
+
+/**
+ * Play a stream in an off-screen video, resolving once frames are available
+ */
+function createStreamVideo(stream) {
+    return new Promise((resolve, reject) => {
         const video = document.createElement('video');
+        video.muted = true;
         video.srcObject = stream;
-        video.play();
-        
         video.onloadedmetadata = () => {
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = video.videoWidth;
-            tempCanvas.height = video.videoHeight;
-            const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
-            tempCtx.drawImage(video, 0, 0);
-            
-            stream.getTracks().forEach(track => track.stop());
-            
-            state.capturedScreenImage = tempCanvas.toDataURL('image/png');
-            hideProgress();
-            showAreaSelectionOverlay();
+            Promise.resolve(video.play()).catch(() => {}).then(() => resolve(video));
         };
-    } catch (error) {
-        hideProgress();
-        console.error('Area capture error:', error);
-        if (error.name === 'NotAllowedError') {
-            showNotification('❌ Screen capture permission denied', 'error');
-        } else {
-            showNotification('❌ Screen capture cancelled', 'error');
-        }
-    }
+        video.onerror = () => reject(new Error('Could not read the shared screen'));
+    });
 }
 
 /**
- * Show area selection overlay
+ * Copy the current video frame to a PNG data URL
  */
-function showAreaSelectionOverlay() {
-    state.isSelectingArea = true;
-    state.areaSelectionCanvas.width = window.innerWidth;
-    state.areaSelectionCanvas.height = window.innerHeight;
-    
-    const img = new Image();
-    img.onload = () => {
-        const scale = Math.min(
-            state.areaSelectionCanvas.width / img.width,
-            state.areaSelectionCanvas.height / img.height
-        );
-        
-        const scaledWidth = img.width * scale;
-        const scaledHeight = img.height * scale;
-        const offsetX = (state.areaSelectionCanvas.width - scaledWidth) / 2;
-        const offsetY = (state.areaSelectionCanvas.height - scaledHeight) / 2;
-        
-        state.areaSelectionCtx.fillStyle = '#000000';
-        state.areaSelectionCtx.fillRect(0, 0, state.areaSelectionCanvas.width, state.areaSelectionCanvas.height);
-        state.areaSelectionCtx.drawImage(img, offsetX, offsetY, scaledWidth, scaledHeight);
-        
-        state.areaImageScale = scale;
-        state.areaImageOffset = { x: offsetX, y: offsetY };
-        state.capturedScreenImageObj = img;
-    };
-    
-    img.src = state.capturedScreenImage;
-    elements.areaOverlay.classList.remove('area-overlay--hidden');
-    showNotification('✂️ Click and drag to select an area', 'info');
+function grabVideoFrame(video) {
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = video.videoWidth;
+    tempCanvas.height = video.videoHeight;
+    const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+    tempCtx.drawImage(video, 0, 0);
+    return tempCanvas.toDataURL('image/png');
 }
 
 /**
- * Cancel area selection
+ * Create the error thrown when the user cancels a capture step
  */
-function cancelAreaSelection() {
-    state.isSelectingArea = false;
-    state.isDrawing = false;
-    elements.areaOverlay.classList.add('area-overlay--hidden');
-    state.areaSelectionCtx.clearRect(0, 0, state.areaSelectionCanvas.width, state.areaSelectionCanvas.height);
-    state.capturedScreenImage = null;
-    state.capturedScreenImageObj = null;
+function createAbortError() {
+    const error = new Error('Capture cancelled');
+    error.name = 'AbortError';
+    return error;
 }
 
 /**
- * Start area drag
+ * Count down before capturing, keeping the shared stream open
+ * The tab title counts down too, so it stays visible while another window is shared.
  */
-function startAreaDrag(event) {
-    if (!state.isSelectingArea) return;
-    state.isDrawing = true;
-    const pos = getCanvasMousePosition(state.areaSelectionCanvas, event);
-    state.startX = pos.x;
-    state.startY = pos.y;
+function runCountdown(seconds) {
+    if (seconds <= 0) return Promise.resolve();
+    
+    return new Promise((resolve, reject) => {
+        const originalTitle = document.title;
+        let remaining = seconds;
+        
+        const render = () => {
+            elements.countdownValue.textContent = remaining;
+            document.title = `(${remaining}) ${originalTitle}`;
+        };
+        const finish = () => {
+            clearInterval(state.countdown.timer);
+            state.countdown = null;
+            document.title = originalTitle;
+            elements.countdownOverlay.classList.add('countdown-overlay--hidden');
+        };
+        
+        state.countdown = {
+            timer: setInterval(() => {
+                remaining--;
+                if (remaining > 0) {
+                    render();
+                    return;
+                }
+                finish();
+                // Give the overlay a frame to disappear before the grab
+                setTimeout(resolve, 100);
+            }, 1000),
+            cancel: () => {
+                finish();
+                reject(createAbortError());
+            }
+        };
+        render();
+        elements.countdownOverlay.classList.remove('countdown-overlay--hidden');
+    });
 }
 
 /**
- * Draw area selection
+ * Cancel a running countdown
  */
-function drawAreaSelection(event) {
-    if (!state.isDrawing || !state.isSelectingArea) return;
-    
-    const pos = getCanvasMousePosition(state.areaSelectionCanvas, event);
-    const currentX = pos.x;
-    const currentY = pos.y;
-    
-    state.areaSelectionCtx.clearRect(0, 0, state.areaSelectionCanvas.width, state.areaSelectionCanvas.height);
-    state.areaSelectionCtx.fillStyle = '#000000';
-    state.areaSelectionCtx.fillRect(0, 0, state.areaSelectionCanvas.width, state.areaSelectionCanvas.height);
+function cancelCountdown() {
+    state.countdown?.cancel();
+}
+
+/**
+ * Grab one frame, or a burst of frames, after the configured delay
+ */
+async function captureFrames(video) {
+    const settings = getCaptureSettings();
+    hideProgress();
+    await runCountdown(settings.delay);
     
-    if (state.capturedScreenImageObj) {
-        const scaledWidth = state.capturedScreenImageObj.width * state.areaImageScale;
-        const scaledHeight = state.capturedScreenImageObj.height * state.areaImageScale;
-        state.areaSelectionCtx.drawImage(
-            state.capturedScreenImageObj,
-            state.areaImageOffset.x,
-            state.areaImageOffset.y,
-            scaledWidth,
-            scaledHeight
-        );
+    const originalTitle = document.title;
+    const frames = [];
+    for (let i = 0; i < settings.burstCount; i++) {
+        if (i > 0) {
+            document.title = `(${i + 1}/${settings.burstCount}) ${originalTitle}`;
+            await new Promise(resolve => setTimeout(resolve, settings.burstInterval * 1000));
+        }
+        frames.push(grabVideoFrame(video));
     }
-    
-    const width = currentX - state.startX;
-    const height = currentY - state.startY;
-    
-    state.areaSelectionCtx.strokeStyle = '#4A90E2';
-    state.areaSelectionCtx.lineWidth = 3;
-    state.areaSelectionCtx.setLineDash([8, 4]);
-    state.areaSelectionCtx.strokeRect(state.startX, state.startY, width, height);
-    state.areaSelectionCtx.fillStyle = 'rgba(74, 144, 226, 0.15)';
-    state.areaSelectionCtx.fillRect(state.startX, state.startY, width, height);
-    state.areaSelectionCtx.setLineDash([]);
+    document.title = originalTitle;
+    return frames;
 }
 
 /**
- * Finish area selection
+ * Get a video of the shared screen, reusing the keep-sharing session if one is open
+ * release() stops a one-off stream and leaves a session stream running.
  */
-function finishAreaSelection(event) {
-    if (!state.isDrawing || !state.isSelectingArea) return;
-    
-    const pos = getCanvasMousePosition(state.areaSelectionCanvas, event);
-    const endX = pos.x;
-    const endY = pos.y;
-    
-    const selectionX = Math.min(state.startX, endX);
-    const selectionY = Math.min(state.startY, endY);
-    const selectionWidth = Math.abs(endX - state.startX);
-    const selectionHeight = Math.abs(endY - state.startY);
-    
-    if (selectionWidth < 10 || selectionHeight < 10) {
-        showNotification('⚠️ Selected area too small', 'error');
-        cancelAreaSelection();
-        return;
+async function openCaptureSource() {
+    if (state.capturedStream) {
+        return { video: state.captureVideo, release: () => {} };
     }
     
+    const stream = await requestDisplayStream();
     try {
-        const cropX = (selectionX - state.areaImageOffset.x) / state.areaImageScale;
-        const cropY = (selectionY - state.areaImageOffset.y) / state.areaImageScale;
-        const cropWidth = selectionWidth / state.areaImageScale;
-        const cropHeight = selectionHeight / state.areaImageScale;
-        
-        const cropCanvas = document.createElement('canvas');
-        cropCanvas.width = cropWidth;
-        cropCanvas.height = cropHeight;
-        const cropCtx = cropCanvas.getContext('2d', { willReadFrequently: true });
-        
-        cropCtx.drawImage(
-            state.capturedScreenImageObj,
-            cropX, cropY, cropWidth, cropHeight,
-            0, 0, cropWidth, cropHeight
-        );
-        
-        const dataURL = cropCanvas.toDataURL('image/png');
-        loadImageToEditor(dataURL);
-        showNotification('✅ Area captured successfully', 'success');
-        cancelAreaSelection();
+        const video = await createStreamVideo(stream);
+        return {
+            video,
+            release: () => {
+                video.srcObject = null;
+                stopStream(stream);
+            }
+        };
     } catch (error) {
-        console.error('Area crop error:', error);
-        showNotification('❌ Failed to crop selected area', 'error');
-        cancelAreaSelection();
+        stopStream(stream);
+        throw error;
     }
-    
-    state.isDrawing = false;
 }
 
 /**
- * Handle image upload
+ * Start a keep-sharing session so captures stop re-prompting for permission
  */
-function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+async function startShareSession() {
+    if (state.capturedStream) return;
+    showProgress('Waiting for screen share...');
+    try {
+        const stream = await requestDisplayStream();
+        try {
+            state.captureVideo = await createStreamVideo(stream);
+        } catch (error) {
+            stopStream(stream);
+            throw error;
+        }
+        state.capturedStream = stream;
+        // Ending the share from the browser's own controls also ends the session
+        stream.getVideoTracks?.()[0]?.addEventListener('ended', stopShareSession);
+        hideProgress();
+        updateShareSessionUI();
+        showNotification('🔴 Sharing started; capture as many times as you like', 'success');
+    } catch (error) {
+        handleCaptureError(error, 'Share session');
+    }
+}
+
+/**
+ * End the keep-sharing session and release the screen
+ */
+function stopShareSession() {
+    if (!state.capturedStream) return;
+    stopStream(state.capturedStream);
+    state.captureVideo.srcObject = null;
+    state.capturedStream = null;
+    state.captureVideo = null;
+    updateShareSessionUI();
+    showNotification('⏹️ Screen sharing stopped', 'info');
+}
+
+/**
+ * Reflect whether a keep-sharing session is open
+ */
+function updateShareSessionUI() {
+    const isSharing = state.capturedStream !== null;
+    elements.shareIndicator.classList.toggle('share-indicator--hidden', !isSharing);
+    elements.shareSessionBtn.classList.toggle('btn--active', isSharing);
+    elements.shareSessionBtn.setAttribute('aria-pressed', isSharing);
+    elements.shareSessionBtn.querySelector('.share-session-label').textContent = isSharing ? 'Stop Sharing' : 'Keep Sharing';
+}
+
+/**
+ * Let the user choose one frame of a burst
+ */
+function pickBurstFrame(frames) {
+    if (frames.length === 1) return Promise.resolve(frames[0]);
+    
+    return new Promise((resolve, reject) => {
+        state.burstPick = (frame) => (frame ? resolve(frame) : reject(createAbortError()));
+        elements.burstFrames.innerHTML = '';
+        frames.forEach((frame, i) => {
+            const button = document.createElement('button');
+            button.className = 'burst-frames__item';
+            button.setAttribute('aria-label', `Use frame ${i + 1}`);
+            const img = document.createElement('img');
+            img.src = frame;
+            img.alt = '';
+            const label = document.createElement('span');
+            label.textContent = `#${i + 1}`;
+            button.append(img, label);
+            button.addEventListener('click', () => resolveBurstPick(frame));
+            elements.burstFrames.appendChild(button);
+        });
+        elements.burstModal.classList.remove('modal--hidden');
+        elements.burstFrames.querySelector('button').focus();
+    });
+}
+
+/**
+ * Close the burst picker with the chosen frame, or null to cancel
+ */
+function resolveBurstPick(frame) {
+    const pick = state.burstPick;
+    state.burstPick = null;
+    elements.burstModal.classList.add('modal--hidden');
+    elements.burstFrames.innerHTML = '';
+    pick?.(frame);
+}
+
+/**
+ * Report a failed or cancelled capture
+ */
+function handleCaptureError(error, context) {
+    hideProgress();
+    if (error.name === 'AbortError') {
+        showNotification('ℹ️ Capture cancelled', 'info');
+        return;
+    }
+    console.error(`${context} error:`, error);
+    if (error.name === 'NotAllowedError') {
+        showNotification('❌ Screen capture permission denied', 'error');
+    } else {
+        showNotification('❌ Screen capture cancelled or failed', 'error');
+    }
+}
+
+/**
+ * Capture entire screen
+ */
+async function captureScreen() {
+    // Keep the current image in Recent Captures before the new one opens
+    flushAutosave();
+    showProgress('Capturing screen...');
+    let source = null;
+    try {
+        source = await openCaptureSource();
+        const frames = await captureFrames(source.video);
+        source.release();
+        source = null;
+        
+        const dataURL = await pickBurstFrame(frames);
+        await loadImageToEditor(dataURL);
+        showNotification('✅ Screen captured successfully', 'success');
+    } catch (error) {
+        source?.release();
+        handleCaptureError(error, 'Screen capture');
+    }
+}
+
+/**
+ * Start area capture
+ */
+async function captureAreaStart() {
+    flushAutosave();
+    showProgress('Capturing screen for area selection...');
+    let source = null;
+    try {
+        source = await openCaptureSource();
+        const frames = await captureFrames(source.video);
+        source.release();
+        source = null;
+        
+        state.capturedScreenImage = await pickBurstFrame(frames);
+        showAreaSelectionOverlay();
+    } catch (error) {
+        source?.release();
+        handleCaptureError(error, 'Area capture');
+    }
+}
+
+/**
+ * Pick a WebM flavor the browser can record
+ */
+function getRecordingMimeType() {
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Start recording the shared screen into a clip
+ */
+async function startRecording() {
+    if (state.recording) return;
+    if (!window.MediaRecorder) {
+        showNotification('⚠️ Screen recording is not supported in this browser', 'error');
+        return;
+    }
+    
+    flushAutosave();
+    showProgress('Waiting for screen share...');
+    let source = null;
+    try {
+        source = await openCaptureSource();
+        hideProgress();
+        
+        const recorder = new MediaRecorder(source.video.srcObject, { mimeType: getRecordingMimeType() });
+        const chunks = [];
+        const release = source.release;
+        source = null;
+        
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        // Also fires when sharing is ended from the browser's own controls
+        recorder.onstop = () => {
+            clearInterval(state.recording.timer);
+            state.recording = null;
+            release();
+            elements.recordingIndicator.classList.add('share-indicator--hidden');
+            openClipEditor(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+        };
+        
+        state.recording = {
+            recorder,
+            startedAt: Date.now(),
+            timer: setInterval(updateRecordingTime, 250)
+        };
+        recorder.start(1000);
+        updateRecordingTime();
+        elements.recordingIndicator.classList.remove('share-indicator--hidden');
+    } catch (error) {
+        source?.release();
+        handleCaptureError(error, 'Recording');
+    }
+}
+
+/**
+ * Stop recording; the clip opens in the editor once it is finalized
+ */
+function stopRecording() {
+    if (state.recording && state.recording.recorder.state !== 'inactive') {
+        state.recording.recorder.stop();
+    }
+}
+
+/**
+ * Show elapsed recording time and enforce the length limit
+ */
+function updateRecordingTime() {
+    const elapsed = (Date.now() - state.recording.startedAt) / 1000;
+    elements.recordingTime.textContent = formatClipTime(elapsed);
+    if (elapsed >= MAX_RECORDING_SECONDS) {
+        stopRecording();
+        showNotification(`⏹️ Recording stopped at the ${MAX_RECORDING_SECONDS / 60} minute limit`, 'info');
+    }
+}
+
+/**
+ * Format seconds as m:ss.s
+ */
+function formatClipTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Resolve once a video has data, working around recorded WebM files
+ * that report an infinite duration until they are seeked to the end.
+ */
+function loadClipVideo(url) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.onerror = () => reject(new Error('Recorded clip could not be decoded'));
+        video.onloadedmetadata = () => {
+            if (Number.isFinite(video.duration)) {
+                resolve(video);
+                return;
+            }
+            video.ontimeupdate = () => {
+                video.ontimeupdate = null;
+                video.currentTime = 0;
+                resolve(video);
+            };
+            video.currentTime = Number.MAX_SAFE_INTEGER;
+        };
+        video.src = url;
+    });
+}
+
+/**
+ * Open a recorded clip in the editor for trimming and timed annotations
+ */
+async function openClipEditor(blob) {
+    showProgress('Preparing clip...');
+    const url = URL.createObjectURL(blob);
+    try {
+        const video = await loadClipVideo(url);
+        const frame = document.createElement('canvas');
+        frame.width = video.videoWidth;
+        frame.height = video.videoHeight;
+        
+        // The first frame becomes the editor image in a new tab; clips are not autosaved
+        await waitForSeek(video, 0);
+        frame.getContext('2d').drawImage(video, 0, 0);
+        await loadImageToEditor(frame.toDataURL('image/png'), [], null);
+        state.clipFrame = frame;
+        state.clip = {
+            blob,
+            url,
+            video,
+            duration: video.duration,
+            time: 0,
+            trimStart: 0,
+            trimEnd: video.duration,
+            playFrame: null
+        };
+        hideProgress();
+        updateClipUI();
+        renderFilmstrip();
+        showNotification('🎬 Clip recorded; trim it, annotate it and export WebM or GIF', 'success');
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        hideProgress();
+        console.error('Clip error:', error);
+        showNotification(`❌ Failed to open recording: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Leave clip mode and release the recording
+ */
+function closeClip() {
+    if (!state.clip) return;
+    pauseClip();
+    URL.revokeObjectURL(state.clip.url);
+    state.clip.video.removeAttribute('src');
+    state.clip = null;
+    state.clipFrame = null;
+    updateClipUI();
+}
+
+/**
+ * Seek a video and wait until the frame is ready
+ */
+function waitForSeek(video, time) {
+    return new Promise(resolve => {
+        if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) {
+            resolve();
+            return;
+        }
+        video.addEventListener('seeked', () => resolve(), { once: true });
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Use the clip's current video frame as the editor image
+ */
+function drawClipFrame(showOverlays = true) {
+    const clip = state.clip;
+    state.clipFrame.getContext('2d').drawImage(clip.video, 0, 0);
+    state.baseImage = state.clipFrame;
+    clip.time = clip.video.currentTime;
+    redrawCanvas(showOverlays);
+    elements.clipScrubber.value = clip.time;
+    elements.clipTime.textContent = `${formatClipTime(clip.time)} / ${formatClipTime(clip.duration)}`;
+}
+
+/**
+ * Show the clip at a time
+ */
+async function seekClip(time, showOverlays = true) {
+    if (!state.clip) return;
+    await waitForSeek(state.clip.video, Math.min(state.clip.duration, Math.max(0, time)));
+    drawClipFrame(showOverlays);
+}
+
+/**
+ * Play the trimmed clip, or pause it
+ */
+function toggleClipPlayback() {
+    const clip = state.clip;
+    if (!clip) return;
+    if (clip.playFrame !== null) {
+        pauseClip();
+        return;
+    }
+    
+    commitTextEditor();
+    if (clip.video.currentTime < clip.trimStart || clip.video.currentTime >= clip.trimEnd - 0.05) {
+        clip.video.currentTime = clip.trimStart;
+    }
+    clip.video.play();
+    const step = () => {
+        drawClipFrame();
+        if (clip.video.currentTime >= clip.trimEnd || clip.video.ended) {
+            pauseClip();
+            return;
+        }
+        clip.playFrame = requestAnimationFrame(step);
+    };
+    clip.playFrame = requestAnimationFrame(step);
+    elements.clipPlayBtn.textContent = '⏸';
+}
+
+/**
+ * Pause clip playback
+ */
+function pauseClip() {
+    const clip = state.clip;
+    if (!clip || clip.playFrame === null) return;
+    cancelAnimationFrame(clip.playFrame);
+    clip.playFrame = null;
+    clip.video.pause();
+    elements.clipPlayBtn.textContent = '▶';
+}
+
+/**
+ * Set the trim in or out point to the current time
+ */
+function setClipTrim(edge) {
+    const clip = state.clip;
+    if (!clip) return;
+    if (edge === 'start') {
+        clip.trimStart = Math.min(clip.time, clip.trimEnd - 0.1);
+    } else {
+        clip.trimEnd = Math.max(clip.time, clip.trimStart + 0.1);
+    }
+    updateClipUI();
+}
+
+/**
+ * Limit the selected annotation to start or end at the current time, or show it throughout
+ */
+function setSelectedTimeRange(edge) {
+    const selected = getSelectedAnnotation();
+    const clip = state.clip;
+    if (!selected || !clip) return;
+    
+    const updated = cloneAnnotation(selected);
+    if (edge === null) {
+        delete updated.timeRange;
+    } else {
+        const range = selected.timeRange ? [...selected.timeRange] : [0, clip.duration];
+        if (edge === 'start') {
+            range[0] = clip.time;
+            range[1] = Math.max(range[1], clip.time);
+        } else {
+            range[1] = clip.time;
+            range[0] = Math.min(range[0], clip.time);
+        }
+        updated.timeRange = range;
+    }
+    
+    if (!isSameAnnotation(selected, updated)) {
+        executeCommand({ type: 'update', before: cloneAnnotation(selected), after: updated });
+    }
+    updateClipTimingControls();
+}
+
+/**
+ * Show clip controls while a recording is open
+ */
+function updateClipUI() {
+    const clip = state.clip;
+    elements.clipBar.classList.toggle('clip-bar--hidden', !clip);
+    elements.imageAdjustments.classList.toggle('toolbar__group--hidden', !!clip);
+    if (!clip) return;
+    
+    elements.clipScrubber.max = clip.duration;
+    elements.clipScrubber.value = clip.time;
+    elements.clipTime.textContent = `${formatClipTime(clip.time)} / ${formatClipTime(clip.duration)}`;
+    elements.clipTrim.textContent = `Trim ${formatClipTime(clip.trimStart)} – ${formatClipTime(clip.trimEnd)}`;
+    elements.clipTrimRange.style.left = `${clip.trimStart / clip.duration * 100}%`;
+    elements.clipTrimRange.style.width = `${(clip.trimEnd - clip.trimStart) / clip.duration * 100}%`;
+    updateClipTimingControls();
+}
+
+/**
+ * Describe and enable the timing buttons for the selected annotation
+ */
+function updateClipTimingControls() {
+    if (!state.clip) return;
+    const selected = getSelectedAnnotation();
+    [elements.clipShowFrom, elements.clipShowUntil, elements.clipShowAlways].forEach(button => {
+        button.disabled = !selected;
+    });
+    
+    if (!selected) {
+        elements.clipTiming.textContent = 'Select an annotation to time it';
+    } else if (selected.timeRange) {
+        elements.clipTiming.textContent = `Shown ${formatClipTime(selected.timeRange[0])} – ${formatClipTime(selected.timeRange[1])}`;
+    } else {
+        elements.clipTiming.textContent = 'Shown throughout';
+    }
+}
+
+/**
+ * Render the trimmed, annotated clip to WebM by playing it onto a recorded canvas
+ */
+async function exportClipWebM(settings) {
+    const clip = state.clip;
+    pauseClip();
+    const resumeTime = clip.time;
+    const output = document.createElement('canvas');
+    output.width = Math.round(state.canvas.width * settings.scale);
+    output.height = Math.round(state.canvas.height * settings.scale);
+    const outputCtx = output.getContext('2d');
+    
+    const recorder = new MediaRecorder(output.captureStream(CLIP_EXPORT_FPS), {
+        mimeType: getRecordingMimeType(),
+        videoBitsPerSecond: Math.round(settings.quality * 8000000)
+    });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+    
+    await seekClip(clip.trimStart, false);
+    recorder.start();
+    await clip.video.play();
+    await new Promise(resolve => {
+        const step = () => {
+            drawClipFrame(false);
+            outputCtx.drawImage(state.canvas, 0, 0, output.width, output.height);
+            const progress = (clip.time - clip.trimStart) / (clip.trimEnd - clip.trimStart);
+            showProgress(`Rendering video... ${Math.min(100, Math.round(progress * 100))}%`);
+            if (clip.video.currentTime >= clip.trimEnd || clip.video.ended) {
+                clip.video.pause();
+                resolve();
+                return;
+            }
+            requestAnimationFrame(step);
+        };
+        step();
+    });
+    recorder.stop();
+    await stopped;
+    await seekClip(resumeTime);
+    
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Render the trimmed, annotated clip to an animated GIF frame by frame
+ */
+async function exportClipGif(settings) {
+    const clip = state.clip;
+    pauseClip();
+    const resumeTime = clip.time;
+    const scale = Math.min(settings.scale, GIF_MAX_WIDTH / state.canvas.width);
+    const output = document.createElement('canvas');
+    output.width = Math.max(1, Math.round(state.canvas.width * scale));
+    output.height = Math.max(1, Math.round(state.canvas.height * scale));
+    const outputCtx = output.getContext('2d', { willReadFrequently: true });
+    
+    const encoder = createGifEncoder(output.width, output.height);
+    const frameCount = Math.min(GIF_MAX_FRAMES, Math.max(1, Math.ceil((clip.trimEnd - clip.trimStart) * GIF_FPS)));
+    for (let i = 0; i < frameCount; i++) {
+        await seekClip(clip.trimStart + i / GIF_FPS, false);
+        outputCtx.drawImage(state.canvas, 0, 0, output.width, output.height);
+        encoder.addFrame(outputCtx.getImageData(0, 0, output.width, output.height).data, Math.round(100 / GIF_FPS));
+        showProgress(`Encoding GIF... ${Math.round((i + 1) / frameCount * 100)}%`);
+    }
+    await seekClip(resumeTime);
+    
+    return encoder.finish();
+}
+
+/**
+ * Show area selection overlay
+ */
+function showAreaSelectionOverlay() {
+    state.isSelectingArea = true;
+    state.areaSelection = null;
+    state.areaDrag = null;
+    state.areaPointer = null;
+    state.areaHover = null;
+    setAreaEyedropper(false);
+    state.areaSelectionCanvas.width = window.innerWidth;
+    state.areaSelectionCanvas.height = window.innerHeight;
+    
+    const img = new Image();
+    img.onload = () => {
+        const scale = Math.min(
+            state.areaSelectionCanvas.width / img.width,
+            state.areaSelectionCanvas.height / img.height
+        );
+        
+        const scaledWidth = img.width * scale;
+        const scaledHeight = img.height * scale;
+        const offsetX = (state.areaSelectionCanvas.width - scaledWidth) / 2;
+        const offsetY = (state.areaSelectionCanvas.height - scaledHeight) / 2;
+        
+        state.areaImageScale = scale;
+        state.areaImageOffset = { x: offsetX, y: offsetY };
+        state.capturedScreenImageObj = img;
+        
+        // Native pixels for the loupe and eyedropper
+        const sourceCanvas = document.createElement('canvas');
+        sourceCanvas.width = img.width;
+        sourceCanvas.height = img.height;
+        state.areaSourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true });
+        state.areaSourceCtx.drawImage(img, 0, 0);
+        state.areaEdges = detectAreaEdges(state.areaSourceCtx);
+        renderAreaOverlay();
+    };
+    
+    img.src = state.capturedScreenImage;
+    elements.areaOverlay.classList.remove('area-overlay--hidden');
+    updateAreaReadout();
+    showNotification('✂️ Drag to select an area, adjust it, then press Enter', 'info');
+}
+
+/**
+ * Cancel area selection
+ */
+function cancelAreaSelection() {
+    state.isSelectingArea = false;
+    state.areaSelection = null;
+    state.areaDrag = null;
+    state.areaPointer = null;
+    setAreaEyedropper(false);
+    elements.areaOverlay.classList.add('area-overlay--hidden');
+    state.areaSelectionCtx.clearRect(0, 0, state.areaSelectionCanvas.width, state.areaSelectionCanvas.height);
+    state.capturedScreenImage = null;
+    state.capturedScreenImageObj = null;
+    state.areaSourceCtx = null;
+    state.areaEdges = null;
+    state.areaHover = null;
+}
+
+/**
+ * Convert an overlay position to source image pixels, clamped to the image
+ */
+function getAreaSourcePoint(pos) {
+    const img = state.capturedScreenImageObj;
+    return {
+        x: Math.min(img.width, Math.max(0, (pos.x - state.areaImageOffset.x) / state.areaImageScale)),
+        y: Math.min(img.height, Math.max(0, (pos.y - state.areaImageOffset.y) / state.areaImageScale))
+    };
+}
+
+/**
+ * Convert source image pixels to an overlay position
+ */
+function getAreaOverlayPoint(x, y) {
+    return {
+        x: state.areaImageOffset.x + x * state.areaImageScale,
+        y: state.areaImageOffset.y + y * state.areaImageScale
+    };
+}
+
+/**
+ * Get the resize handles of the area selection in overlay coordinates
+ */
+function getAreaHandles(rect) {
+    const topLeft = getAreaOverlayPoint(rect.x, rect.y);
+    const bottomRight = getAreaOverlayPoint(rect.x + rect.width, rect.y + rect.height);
+    const midX = (topLeft.x + bottomRight.x) / 2;
+    const midY = (topLeft.y + bottomRight.y) / 2;
+    return [
+        { name: 'nw', x: topLeft.x, y: topLeft.y },
+        { name: 'n', x: midX, y: topLeft.y },
+        { name: 'ne', x: bottomRight.x, y: topLeft.y },
+        { name: 'e', x: bottomRight.x, y: midY },
+        { name: 'se', x: bottomRight.x, y: bottomRight.y },
+        { name: 's', x: midX, y: bottomRight.y },
+        { name: 'sw', x: topLeft.x, y: bottomRight.y },
+        { name: 'w', x: topLeft.x, y: midY }
+    ];
+}
+
+/**
+ * Describe what a press at an overlay position would grab
+ */
+function getAreaHit(pos) {
+    const rect = state.areaSelection;
+    if (!rect) return null;
+    
+    const handle = getAreaHandles(rect).find(h =>
+        Math.abs(h.x - pos.x) <= HANDLE_SIZE && Math.abs(h.y - pos.y) <= HANDLE_SIZE
+    );
+    if (handle) return handle.name;
+    
+    const point = getAreaSourcePoint(pos);
+    const inside = point.x >= rect.x && point.x <= rect.x + rect.width &&
+        point.y >= rect.y && point.y <= rect.y + rect.height;
+    return inside ? 'move' : null;
+}
+
+/**
+ * Build a whole-pixel rectangle between two source points
+ */
+function normalizeAreaRect(x1, y1, x2, y2) {
+    const left = Math.round(Math.min(x1, x2));
+    const top = Math.round(Math.min(y1, y2));
+    return {
+        x: left,
+        y: top,
+        width: Math.round(Math.max(x1, x2)) - left,
+        height: Math.round(Math.max(y1, y2)) - top
+    };
+}
+
+/**
+ * Start area drag: draw a new selection, or move or resize the current one
+ */
+function startAreaDrag(event) {
+    if (!state.isSelectingArea || !state.capturedScreenImageObj) return;
+    const pos = getCanvasMousePosition(state.areaSelectionCanvas, event);
+    const point = getAreaSourcePoint(pos);
+    
+    if (state.areaEyedropper) {
+        pickAreaColor(point);
+        return;
+    }
+    
+    const hit = getAreaHit(pos);
+    if (hit) {
+        state.areaDrag = { mode: hit, origin: point, rect: { ...state.areaSelection } };
+    } else {
+        // A click without dragging selects the previewed region
+        const origin = snapAreaPoint(point, event);
+        state.areaDrag = { mode: 'create', origin, start: pos, region: state.areaHover };
+        state.areaSelection = normalizeAreaRect(origin.x, origin.y, origin.x, origin.y);
+    }
+    state.areaHover = null;
+    renderAreaOverlay();
+}
+
+/**
+ * Draw area selection while dragging and update the loupe
+ */
+function drawAreaSelection(event) {
+    if (!state.isSelectingArea || !state.capturedScreenImageObj) return;
+    
+    const pos = getCanvasMousePosition(state.areaSelectionCanvas, event);
+    const point = getAreaSourcePoint(pos);
+    const drag = state.areaDrag;
+    state.areaPointer = pos;
+    
+    if (!drag) {
+        const hit = getAreaHit(pos);
+        state.areaSelectionCanvas.style.cursor = state.areaEyedropper || !hit ? '' :
+            (hit === 'move' ? 'move' : AREA_HANDLE_CURSORS[hit]);
+        state.areaHover = state.areaEyedropper || hit ? null : findAreaRegion(point);
+    } else if (drag.mode === 'create') {
+        const corner = snapAreaPoint(point, event);
+        state.areaSelection = normalizeAreaRect(drag.origin.x, drag.origin.y, corner.x, corner.y);
+    } else if (drag.mode === 'move') {
+        const img = state.capturedScreenImageObj;
+        const rect = drag.rect;
+        const x = Math.min(img.width - rect.width, Math.max(0, rect.x + Math.round(point.x - drag.origin.x)));
+        const y = Math.min(img.height - rect.height, Math.max(0, rect.y + Math.round(point.y - drag.origin.y)));
+        state.areaSelection = {
+            ...rect,
+            x: event.altKey ? x : snapAreaSpan(x, rect.width, state.areaEdges?.xs),
+            y: event.altKey ? y : snapAreaSpan(y, rect.height, state.areaEdges?.ys)
+        };
+    } else {
+        // Move only the edges named by the handle; dragging past the opposite edge flips it
+        const rect = drag.rect;
+        const corner = snapAreaPoint(point, event);
+        let left = rect.x;
+        let top = rect.y;
+        let right = rect.x + rect.width;
+        let bottom = rect.y + rect.height;
+        if (drag.mode.includes('w')) left = corner.x;
+        if (drag.mode.includes('e')) right = corner.x;
+        if (drag.mode.includes('n')) top = corner.y;
+        if (drag.mode.includes('s')) bottom = corner.y;
+        state.areaSelection = normalizeAreaRect(left, top, right, bottom);
+    }
+    
+    renderAreaOverlay();
+}
+
+/**
+ * Finish area drag; the selection stays adjustable until confirmed
+ */
+function finishAreaSelection(event) {
+    const drag = state.areaDrag;
+    if (!drag) return;
+    state.areaDrag = null;
+    
+    const pos = getCanvasMousePosition(state.areaSelectionCanvas, event);
+    const isClick = drag.mode === 'create' && Math.hypot(pos.x - drag.start.x, pos.y - drag.start.y) < 3;
+    if (isClick && drag.region) {
+        state.areaSelection = { ...drag.region };
+    } else if (state.areaSelection && (state.areaSelection.width === 0 || state.areaSelection.height === 0)) {
+        state.areaSelection = null;
+    }
+    renderAreaOverlay();
+}
+
+/**
+ * Find long horizontal and vertical edges in the capture for snapping
+ * Edge positions are stored in source pixels, keyed by the line they lie on.
+ */
+function detectAreaEdges(sourceCtx) {
+    const source = sourceCtx.canvas;
+    const scale = Math.min(1, EDGE_ANALYSIS_MAX_SIZE / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+    
+    const analysisCanvas = document.createElement('canvas');
+    analysisCanvas.width = width;
+    analysisCanvas.height = height;
+    const analysisCtx = analysisCanvas.getContext('2d', { willReadFrequently: true });
+    analysisCtx.drawImage(source, 0, 0, width, height);
+    const data = analysisCtx.getImageData(0, 0, width, height).data;
+    
+    const gray = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        gray[i] = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+    }
+    
+    const horizontal = collectEdgeLines(gray, width, height, false, scale);
+    const vertical = collectEdgeLines(gray, width, height, true, scale);
+    return {
+        horizontal,
+        vertical,
+        // Neighbouring analysis lines land this many source pixels apart
+        tolerance: Math.ceil(1 / scale),
+        xs: [...vertical.keys()].sort((a, b) => a - b),
+        ys: [...horizontal.keys()].sort((a, b) => a - b)
+    };
+}
+
+/**
+ * Collect runs of strong contrast between neighbouring rows (or columns when vertical)
+ */
+function collectEdgeLines(gray, width, height, vertical, scale) {
+    const lines = new Map();
+    const lineCount = vertical ? width : height;
+    const length = vertical ? height : width;
+    const at = vertical ? (line, pos) => pos * width + line : (line, pos) => line * width + pos;
+    
+    for (let line = 0; line < lineCount - 1; line++) {
+        let runStart = -1;
+        let lastEdge = -1;
+        for (let pos = 0; pos <= length; pos++) {
+            const isEdge = pos < length && Math.abs(gray[at(line, pos)] - gray[at(line + 1, pos)]) >= EDGE_THRESHOLD;
+            if (isEdge) {
+                if (runStart < 0) runStart = pos;
+                lastEdge = pos;
+            } else if (runStart >= 0 && pos - lastEdge > EDGE_GAP_TOLERANCE) {
+                if (lastEdge - runStart + 1 >= EDGE_MIN_LENGTH) {
+                    const key = Math.round((line + 1) / scale);
+                    if (!lines.has(key)) lines.set(key, []);
+                    lines.get(key).push([Math.round(runStart / scale), Math.round((lastEdge + 1) / scale)]);
+                }
+                runStart = -1;
+            }
+        }
+    }
+    return lines;
+}
+
+/**
+ * Snap a coordinate to the nearest detected edge within reach
+ */
+function snapAreaCoordinate(value, positions) {
+    if (!positions) return value;
+    const reach = AREA_SNAP_DISTANCE / state.areaImageScale;
+    let best = value;
+    let bestDistance = reach;
+    positions.forEach(position => {
+        const distance = Math.abs(position - value);
+        if (distance <= bestDistance) {
+            best = position;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Snap a point to detected edges unless Alt is held
+ */
+function snapAreaPoint(point, event) {
+    if (event.altKey || !state.areaEdges) return point;
+    return {
+        x: snapAreaCoordinate(point.x, state.areaEdges.xs),
+        y: snapAreaCoordinate(point.y, state.areaEdges.ys)
+    };
+}
+
+/**
+ * Snap a moved span so whichever of its ends is closer lands on an edge
+ */
+function snapAreaSpan(start, size, positions) {
+    const startShift = snapAreaCoordinate(start, positions) - start;
+    const endShift = snapAreaCoordinate(start + size, positions) - (start + size);
+    if (startShift === 0) return start + endShift;
+    if (endShift === 0 || Math.abs(startShift) <= Math.abs(endShift)) return start + startShift;
+    return start + endShift;
+}
+
+/**
+ * Nearest edge lines on one side of a point whose segments pass beside it
+ */
+function findEdgeCandidates(lines, along, across, direction) {
+    const candidates = [];
+    lines.forEach((segments, position) => {
+        if ((position - along) * direction <= 0) return;
+        if (segments.some(([start, end]) => start <= across && across <= end)) {
+            candidates.push(position);
+        }
+    });
+    return candidates
+        .sort((a, b) => Math.abs(a - along) - Math.abs(b - along))
+        .slice(0, REGION_CANDIDATES);
+}
+
+/**
+ * Fraction of a span covered by edge segments on or right next to a line
+ */
+function getEdgeCoverage(lines, position, start, end, tolerance) {
+    const spans = [];
+    for (let p = position - tolerance; p <= position + tolerance; p++) {
+        (lines.get(p) || []).forEach(([a, b]) => {
+            if (b > start && a < end) spans.push([Math.max(a, start), Math.min(b, end)]);
+        });
+    }
+    spans.sort((a, b) => a[0] - b[0]);
+    
+    let covered = 0;
+    let reached = start;
+    spans.forEach(([a, b]) => {
+        if (b > reached) {
+            covered += b - Math.max(a, reached);
+            reached = b;
+        }
+    });
+    return covered / (end - start);
+}
+
+/**
+ * Find the smallest rectangle of detected edges around a point, like a dialog or panel
+ */
+function findAreaRegion(point) {
+    const edges = state.areaEdges;
+    if (!edges) return null;
+    
+    const lefts = findEdgeCandidates(edges.vertical, point.x, point.y, -1);
+    const rights = findEdgeCandidates(edges.vertical, point.x, point.y, 1);
+    const tops = findEdgeCandidates(edges.horizontal, point.y, point.x, -1);
+    const bottoms = findEdgeCandidates(edges.horizontal, point.y, point.x, 1);
+    
+    let best = null;
+    lefts.forEach(left => rights.forEach(right => tops.forEach(top => bottoms.forEach(bottom => {
+        const width = right - left;
+        const height = bottom - top;
+        if (width < MIN_IMAGE_SIZE * 2 || height < MIN_IMAGE_SIZE * 2) return;
+        if (best && width * height >= best.width * best.height) return;
+        
+        const isClosed = getEdgeCoverage(edges.vertical, left, top, bottom, edges.tolerance) >= REGION_MIN_COVERAGE &&
+            getEdgeCoverage(edges.vertical, right, top, bottom, edges.tolerance) >= REGION_MIN_COVERAGE &&
+            getEdgeCoverage(edges.horizontal, top, left, right, edges.tolerance) >= REGION_MIN_COVERAGE &&
+            getEdgeCoverage(edges.horizontal, bottom, left, right, edges.tolerance) >= REGION_MIN_COVERAGE;
+        if (isClosed) {
+            best = { x: left, y: top, width, height };
+        }
+    }))));
+    return best;
+}
+
+/**
+ * Crop the selected area and open it in the editor
+ */
+function confirmAreaSelection() {
+    const rect = state.areaSelection;
+    if (!state.isSelectingArea || !rect) return;
+    
+    if (rect.width < MIN_IMAGE_SIZE || rect.height < MIN_IMAGE_SIZE) {
+        showNotification('⚠️ Selected area too small', 'error');
+        return;
+    }
+    
+    try {
+        const cropCanvas = document.createElement('canvas');
+        cropCanvas.width = rect.width;
+        cropCanvas.height = rect.height;
+        const cropCtx = cropCanvas.getContext('2d', { willReadFrequently: true });
+        
+        cropCtx.drawImage(
+            state.capturedScreenImageObj,
+            rect.x, rect.y, rect.width, rect.height,
+            0, 0, rect.width, rect.height
+        );
+        
+        const dataURL = cropCanvas.toDataURL('image/png');
+        loadImageToEditor(dataURL)
+            .then(() => showNotification('✅ Area captured successfully', 'success'))
+            .catch(handleImageOpenError);
+    } catch (error) {
+        console.error('Area crop error:', error);
+        showNotification('❌ Failed to crop selected area', 'error');
+    }
+    cancelAreaSelection();
+}
+
+/**
+ * Handle keys while the area overlay is open
+ * Arrows nudge the selection, Alt+arrows resize it and Shift moves in larger steps.
+ */
+function handleAreaKey(event) {
+    if (!state.isSelectingArea) return false;
+    
+    const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (arrows[event.key] && state.areaSelection && !state.areaDrag) {
+        const step = event.shiftKey ? AREA_NUDGE_STEP : 1;
+        const [dx, dy] = arrows[event.key].map(value => value * step);
+        nudgeAreaSelection(dx, dy, event.altKey);
+    } else if (event.key === 'Enter') {
+        confirmAreaSelection();
+    } else if (event.key.toLowerCase() === 'i') {
+        setAreaEyedropper(!state.areaEyedropper);
+    } else {
+        return false;
+    }
+    event.preventDefault();
+    return true;
+}
+
+/**
+ * Move the area selection, or grow it from its bottom-right corner, by whole source pixels
+ */
+function nudgeAreaSelection(dx, dy, resize) {
+    const img = state.capturedScreenImageObj;
+    const rect = { ...state.areaSelection };
+    if (resize) {
+        rect.width = Math.min(img.width - rect.x, Math.max(1, rect.width + dx));
+        rect.height = Math.min(img.height - rect.y, Math.max(1, rect.height + dy));
+    } else {
+        rect.x = Math.min(img.width - rect.width, Math.max(0, rect.x + dx));
+        rect.y = Math.min(img.height - rect.height, Math.max(0, rect.y + dy));
+    }
+    state.areaSelection = rect;
+    renderAreaOverlay();
+}
+
+/**
+ * Toggle the eyedropper in the area overlay
+ */
+function setAreaEyedropper(active) {
+    state.areaEyedropper = active;
+    elements.areaEyedropperBtn.classList.toggle('btn--active', active);
+    elements.areaOverlay.classList.toggle('area-overlay--eyedropper', active);
+    elements.areaCanvas.style.cursor = '';
+}
+
+/**
+ * Read the color of one source pixel as #rrggbb
+ */
+function getAreaPixelColor(point) {
+    const img = state.capturedScreenImageObj;
+    const x = Math.min(img.width - 1, Math.floor(point.x));
+    const y = Math.min(img.height - 1, Math.floor(point.y));
+    const [r, g, b] = state.areaSourceCtx.getImageData(x, y, 1, 1).data;
+    return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Use a pixel of the capture as the annotation color
+ */
+function pickAreaColor(point) {
+    const color = getAreaPixelColor(point);
+    state.currentColor = color;
+    elements.colorPicker.value = color;
+    setAreaEyedropper(false);
+    showNotification(`💧 Picked ${color.toUpperCase()} as the annotation color`, 'success');
+}
+
+/**
+ * Show cursor position and selection size in source pixels
+ */
+function updateAreaReadout() {
+    const parts = [];
+    if (state.areaPointer && state.capturedScreenImageObj) {
+        const point = getAreaSourcePoint(state.areaPointer);
+        parts.push(`x ${Math.floor(point.x)}, y ${Math.floor(point.y)}`);
+    }
+    if (state.areaSelection) {
+        parts.push(`${state.areaSelection.width} × ${state.areaSelection.height} px`);
+    }
+    elements.areaReadout.textContent = parts.join(' · ');
+    elements.confirmAreaSelection.disabled = !state.areaSelection;
+}
+
+/**
+ * Redraw the area overlay: capture, selection with handles and the loupe
+ */
+function renderAreaOverlay() {
+    const ctx = state.areaSelectionCtx;
+    const canvas = state.areaSelectionCanvas;
+    const img = state.capturedScreenImageObj;
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    updateAreaReadout();
+    if (!img) return;
+    
+    ctx.drawImage(
+        img,
+        state.areaImageOffset.x,
+        state.areaImageOffset.y,
+        img.width * state.areaImageScale,
+        img.height * state.areaImageScale
+    );
+    
+    const hover = state.areaHover;
+    if (hover) {
+        const hoverTopLeft = getAreaOverlayPoint(hover.x, hover.y);
+        ctx.fillStyle = 'rgba(82, 196, 26, 0.15)';
+        ctx.fillRect(hoverTopLeft.x, hoverTopLeft.y, hover.width * state.areaImageScale, hover.height * state.areaImageScale);
+        ctx.strokeStyle = '#52C41A';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(hoverTopLeft.x, hoverTopLeft.y, hover.width * state.areaImageScale, hover.height * state.areaImageScale);
+    }
+    
+    const rect = state.areaSelection;
+    if (rect) {
+        const topLeft = getAreaOverlayPoint(rect.x, rect.y);
+        const width = rect.width * state.areaImageScale;
+        const height = rect.height * state.areaImageScale;
+        
+        // Dim everything outside the selection
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, canvas.width, canvas.height);
+        ctx.rect(topLeft.x, topLeft.y, width, height);
+        ctx.fill('evenodd');
+        
+        ctx.strokeStyle = '#4A90E2';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        ctx.strokeRect(topLeft.x, topLeft.y, width, height);
+        ctx.setLineDash([]);
+        
+        if (!state.areaDrag || state.areaDrag.mode !== 'create') {
+            ctx.fillStyle = '#FFFFFF';
+            getAreaHandles(rect).forEach(handle => {
+                ctx.fillRect(handle.x - HANDLE_SIZE / 2, handle.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+                ctx.strokeRect(handle.x - HANDLE_SIZE / 2, handle.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+            });
+        }
+        
+        const label = `${rect.width} × ${rect.height}`;
+        ctx.font = '600 12px Inter, sans-serif';
+        const labelWidth = ctx.measureText(label).width + 12;
+        const labelY = topLeft.y > 26 ? topLeft.y - 26 : topLeft.y + height + 6;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(topLeft.x, labelY, labelWidth, 20);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, topLeft.x + 6, labelY + 10);
+    }
+    
+    if (state.areaPointer) {
+        drawAreaLoupe(state.areaPointer);
+    }
+}
+
+/**
+ * Draw a magnified view of the native pixels around the cursor, with a pixel grid
+ */
+function drawAreaLoupe(pos) {
+    const ctx = state.areaSelectionCtx;
+    const canvas = state.areaSelectionCanvas;
+    const point = getAreaSourcePoint(pos);
+    const centerX = Math.floor(point.x);
+    const centerY = Math.floor(point.y);
+    const half = Math.floor(LOUPE_PIXELS / 2);
+    const size = LOUPE_PIXELS * LOUPE_ZOOM;
+    
+    // Keep the loupe beside the cursor without leaving the screen
+    let left = pos.x + 24;
+    let top = pos.y + 24;
+    if (left + size > canvas.width) left = pos.x - 24 - size;
+    if (top + size + 24 > canvas.height) top = pos.y - 48 - size;
+    
+    ctx.save();
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(left, top, size, size);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(
+        state.areaSourceCtx.canvas,
+        centerX - half, centerY - half, LOUPE_PIXELS, LOUPE_PIXELS,
+        left, top, size, size
+    );
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < LOUPE_PIXELS; i++) {
+        ctx.moveTo(left + i * LOUPE_ZOOM + 0.5, top);
+        ctx.lineTo(left + i * LOUPE_ZOOM + 0.5, top + size);
+        ctx.moveTo(left, top + i * LOUPE_ZOOM + 0.5);
+        ctx.lineTo(left + size, top + i * LOUPE_ZOOM + 0.5);
+    }
+    ctx.stroke();
+    
+    ctx.strokeStyle = '#FF4D4F';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left + half * LOUPE_ZOOM, top + half * LOUPE_ZOOM, LOUPE_ZOOM, LOUPE_ZOOM);
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.strokeRect(left, top, size, size);
+    
+    const color = getAreaPixelColor(point);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(left, top + size, size, 22);
+    ctx.fillStyle = color;
+    ctx.fillRect(left + 4, top + size + 5, 12, 12);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '11px Inter, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${centerX}, ${centerY}  ${color.toUpperCase()}`, left + 22, top + size + 11);
+    ctx.restore();
+}
+
+/**
+ * Handle image upload
+ */
+function handleImageUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    if (isProjectFile(file)) {
+        loadProjectFile(file);
+        return;
+    }
+    
+    if (!file.type.startsWith('image/')) {
+        showNotification('⚠️ Please select a valid image file', 'error');
+        return;
+    }
+    
+    importImageFile(file, (dataURL) => {
+        loadImageToEditor(dataURL)
+            .then(() => showNotification('✅ Image imported successfully', 'success'))
+            .catch(handleImageOpenError);
+    });
+}
+
+/**
+ * Read an image file or blob as a data URL and pass it on
+ * Read errors go to onError when given, and are reported otherwise.
+ */
+function importImageFile(file, onLoad, onError = null) {
+    showProgress('Loading image...');
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+        hideProgress();
+        onLoad(e.target.result);
+    };
+    
+    reader.onerror = () => {
+        hideProgress();
+        if (onError) {
+            onError(reader.error || new Error('Failed to read image file'));
+        } else {
+            showNotification('❌ Failed to read image file', 'error');
+        }
+    };
+    
+    reader.readAsDataURL(file);
+}
+
+/**
+ * Download an image URL into a data URL so the canvas stays exportable
+ */
+async function fetchImageAsDataURL(url) {
+    const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+    if (!response.ok) {
+        throw new Error(`Server responded ${response.status}`);
+    }
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+        throw new Error('URL does not point to an image');
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read image'));
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Import an image given as a data URL or http(s) URL
+ */
+async function importImageURL(text, point = null) {
+    const source = text.trim();
+    
+    if (/^data:image\/[a-z0-9.+-]+;base64,/i.test(source)) {
+        receiveImportedImage(source, point);
+        return true;
+    }
+    if (!/^https?:\/\/\S+$/i.test(source)) {
+        return false;
+    }
+    
+    showProgress('Downloading image...');
+    try {
+        const dataURL = await fetchImageAsDataURL(source);
+        hideProgress();
+        receiveImportedImage(dataURL, point);
+    } catch (error) {
+        hideProgress();
+        console.error('Image URL import error:', error);
+        showNotification(`❌ Could not load image from URL: ${error.message}`, 'error');
+    }
+    return true;
+}
+
+/**
+ * Open an imported image, asking how to use it when the editor is open
+ */
+function receiveImportedImage(dataURL, point = null) {
+    if (!state.baseImage || elements.editorSection.classList.contains('section--hidden')) {
+        loadImageToEditor(dataURL)
+            .then(() => showNotification('✅ Image imported successfully', 'success'))
+            .catch(handleImageOpenError);
+        return;
+    }
+    showImportModal(dataURL, point);
+}
+
+/**
+ * Import images, image URLs or data URLs pasted with Ctrl+V
+ */
+function handlePaste(event) {
+    // Let text fields receive pasted text as usual
+    if (isTypingTarget(event.target) || !elements.confirmModal.classList.contains('modal--hidden')) return;
+    if (!elements.areaOverlay.classList.contains('area-overlay--hidden')) return;
+    
+    const items = [...(event.clipboardData?.items || [])];
+    const imageItem = items.find(item => item.kind === 'file' && item.type.startsWith('image/'));
+    
+    if (imageItem) {
+        event.preventDefault();
+        importImageFile(imageItem.getAsFile(), (dataURL) => receiveImportedImage(dataURL));
+        return;
+    }
+    
+    const text = event.clipboardData?.getData('text/plain') || '';
+    if (text && /^\s*(data:image\/|https?:\/\/)/i.test(text)) {
+        event.preventDefault();
+        importImageURL(text);
+    }
+}
+
+/**
+ * Highlight a section while files are dragged over it
+ */
+function handleDragOver(event) {
+    // Reordering layers or tabs is not an import
+    if (isInternalDrag()) return;
+    const types = [...(event.dataTransfer?.types || [])];
+    if (!types.includes('Files') && !types.includes('text/uri-list') && !types.includes('text/plain')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    event.currentTarget.classList.add('section--drop-target');
+}
+
+/**
+ * Check whether a layer or tab is being dragged within the editor
+ */
+function isInternalDrag() {
+    return state.layerDragId !== null || state.filmstripDragId !== null;
+}
+
+/**
+ * Remove drop highlight when the drag leaves a section
+ */
+function handleDragLeave(event) {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+        event.currentTarget.classList.remove('section--drop-target');
+    }
+}
+
+/**
+ * Import a dropped image file, project file or image URL
+ */
+function handleDrop(event) {
+    if (isInternalDrag()) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.classList.remove('section--drop-target');
+    
+    const point = state.baseImage && event.currentTarget === elements.editorSection
+        ? getCanvasMousePosition(state.canvas, event)
+        : null;
+    const files = [...(event.dataTransfer?.files || [])];
+    const projectFile = files.find(isProjectFile);
+    const imageFile = files.find(file => file.type.startsWith('image/'));
+    
+    if (projectFile) {
+        loadProjectFile(projectFile);
+    } else if (imageFile) {
+        importImageFile(imageFile, (dataURL) => receiveImportedImage(dataURL, point));
+    } else {
+        const url = event.dataTransfer?.getData('text/uri-list') || event.dataTransfer?.getData('text/plain') || '';
+        importImageURL(url.split('\n')[0], point).then(isImage => {
+            if (!isImage) {
+                showNotification('⚠️ Drop an image file, project file or image URL', 'error');
+            }
+        });
+    }
+}
+
+/**
+ * Load an image element, resolving once its size is known
+ */
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Image could not be decoded'));
+        img.src = src;
+    });
+}
+
+/**
+ * Add an image as a movable overlay annotation, centered on a point
+ * High-density images such as stamps pass their pixel ratio to start at their intended size.
+ */
+async function insertImageOverlay(dataURL, point = null, pixelRatio = 1) {
+    try {
+        const img = await loadImageElement(dataURL);
+        state.imageCache.set(dataURL, img);
+        const fit = Math.min(
+            1 / pixelRatio,
+            state.canvas.width * OVERLAY_MAX_FRACTION / img.width,
+            state.canvas.height * OVERLAY_MAX_FRACTION / img.height
+        );
+        const center = point || { x: state.canvas.width / 2, y: state.canvas.height / 2 };
+        const annotation = createAnnotation({
+            tool: 'image',
+            x: center.x,
+            y: center.y,
+            width: Math.round(img.width * fit),
+            height: Math.round(img.height * fit),
+            rotation: 0,
+            src: dataURL
+        });
+        
+        addAnnotation(annotation);
+        selectTool('select');
+        state.selectedId = annotation.id;
+        updateToolOptions();
+        redrawCanvas();
+        showNotification('🖼️ Image added as overlay', 'success');
+    } catch (error) {
+        console.error('Overlay error:', error);
+        showNotification(`❌ Failed to add overlay: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Open the stamp library beside the canvas
+ */
+function openStampPanel() {
+    if (!state.baseImage) return;
+    if (!elements.stampGrid.children.length) {
+        renderStampLibrary();
+    }
+    showSidePanel(elements.stampPanel);
+}
+
+/**
+ * Hide the stamp library
+ */
+function closeStampPanel() {
+    hideSidePanel(elements.stampPanel);
+}
+
+/**
+ * Fill the stamp library with a preview button per stamp
+ */
+function renderStampLibrary() {
+    elements.stampGrid.replaceChildren(...STAMPS.map(stamp => {
+        const button = document.createElement('button');
+        button.className = 'stamp-grid__item';
+        button.title = stamp.name;
+        button.setAttribute('aria-label', `Add ${stamp.name} stamp`);
+        const preview = document.createElement('img');
+        preview.src = renderStamp(stamp);
+        preview.alt = '';
+        button.append(preview);
+        button.addEventListener('click', () => insertImageOverlay(renderStamp(stamp), null, STAMP_PIXEL_RATIO));
+        return button;
+    }));
+}
+
+/**
+ * Draw a stamp to a PNG data URL, once per stamp
+ * Stamps are drawn at STAMP_PIXEL_RATIO so they stay sharp when scaled up.
+ */
+function renderStamp(stamp) {
+    if (state.stampImages.has(stamp.id)) {
+        return state.stampImages.get(stamp.id);
+    }
+    
+    const size = STAMP_SIZE * STAMP_PIXEL_RATIO;
+    const canvas = document.createElement('canvas');
+    let ctx = canvas.getContext('2d');
+    
+    if (stamp.text) {
+        const font = `bold ${size / 2}px Inter, sans-serif`;
+        const border = 4 * STAMP_PIXEL_RATIO;
+        ctx.font = font;
+        canvas.width = Math.ceil(ctx.measureText(stamp.text).width + size / 2 + border * 2);
+        canvas.height = Math.ceil(size * 0.8 + border * 2);
+        // Resizing the canvas resets its context state
+        ctx = canvas.getContext('2d');
+        traceRoundedRect(border / 2, border / 2, canvas.width - border, canvas.height - border, size / 6, ctx);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fill();
+        ctx.lineWidth = border;
+        ctx.strokeStyle = stamp.color;
+        ctx.stroke();
+        ctx.font = font;
+        ctx.fillStyle = stamp.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(stamp.text, canvas.width / 2, canvas.height / 2 + STAMP_PIXEL_RATIO);
+    } else if (stamp.cursor) {
+        // Classic pointer outline on a 12 × 20 grid
+        const unit = size / 20;
+        canvas.width = Math.ceil(unit * 13);
+        canvas.height = size;
+        ctx.beginPath();
+        [[0, 0], [0, 16], [4, 12.5], [7, 19], [9.5, 18], [6.5, 11.5], [11.5, 11.5]].forEach(([x, y], i) => {
+            ctx[i === 0 ? 'moveTo' : 'lineTo'](unit * (x + 0.75), unit * (y + 0.5));
+        });
+        ctx.closePath();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fill();
+        ctx.lineWidth = unit;
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = '#000000';
+        ctx.stroke();
+    } else {
+        canvas.width = size;
+        canvas.height = size;
+        ctx.font = `${size * 0.8}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(stamp.emoji, size / 2, size / 2 + size * 0.05);
+    }
+    
+    const dataURL = canvas.toDataURL('image/png');
+    state.stampImages.set(stamp.id, dataURL);
+    return dataURL;
+}
+
+/**
+ * Add an uploaded image file as an overlay
+ */
+function handleOverlayUpload(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    if (!file.type.startsWith('image/')) {
+        showNotification('⚠️ Please select a valid image file', 'error');
+        return;
+    }
+    importImageFile(file, (dataURL) => insertImageOverlay(dataURL));
+}
+
+/**
+ * Load image to editor, optionally restoring saved annotations
+ * The image opens in a new tab, or replaces the current tab's image when asked;
+ * the promise rejects when the image can't be decoded.
+ */
+function loadImageToEditor(dataURL, annotations = [], sessionId = createSessionId(), replaceActive = false) {
+    // A session that is already open is brought to the front rather than opened twice
+    const openDocument = sessionId && state.documents.find(doc => doc.sessionId === sessionId);
+    if (openDocument) {
+        switchDocument(openDocument.id);
+        return Promise.resolve();
+    }
+    
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const documentData = {
+                id: state.nextDocumentId++,
+                sessionId,
+                image: img,
+                annotations: annotations.map(cloneAnnotation),
+                nextAnnotationId: annotations.reduce((max, annotation) => Math.max(max, annotation.id), 0) + 1,
+                undoStack: [],
+                redoStack: [],
+                zoom: null,
+                clip: null,
+                clipFrame: null,
+                thumbnail: null
+            };
+            
+            stashDocument();
+            const index = state.documents.findIndex(doc => doc.id === state.activeDocumentId);
+            if (replaceActive && index !== -1) {
+                releaseDocument(state.documents[index]);
+                state.documents.splice(index, 1, documentData);
+            } else {
+                state.documents.splice(index + 1, 0, documentData);
+            }
+            
+            elements.captureSection.classList.add('section--hidden');
+            elements.editorSection.classList.remove('section--hidden');
+            showDocument(documentData);
+            scheduleAutosave();
+            resolve();
+        };
+        img.onerror = () => reject(new Error('The image could not be decoded'));
+        img.src = dataURL;
+    });
+}
+
+/**
+ * Report an image that could not be opened in the editor
+ */
+function handleImageOpenError(error) {
+    hideProgress();
+    console.error('Image open error:', error);
+    showNotification(`❌ Failed to open image: ${error.message}`, 'error');
+}
+
+/**
+ * Get the open image shown in the editor
+ */
+function getActiveDocument() {
+    return state.documents.find(doc => doc.id === state.activeDocumentId) || null;
+}
+
+/**
+ * Save the editor's working state into the active tab before another tab is shown
+ */
+function stashDocument() {
+    const doc = getActiveDocument();
+    if (!doc) return;
+    
+    commitTextEditor();
+    commitRestyle();
+    flushAutosave();
+    pauseClip();
+    closeRedactionPanel();
+    closeOcrPanel();
+    Object.assign(doc, {
+        image: state.baseImage,
+        annotations: state.annotations,
+        nextAnnotationId: state.nextAnnotationId,
+        undoStack: state.undoStack,
+        redoStack: state.redoStack,
+        zoom: state.zoom,
+        clip: state.clip,
+        clipFrame: state.clipFrame,
+        thumbnail: createThumbnail()
+    });
+}
+
+/**
+ * Load a tab's image, annotations and history into the editor
+ * Used while exporting too, so it leaves notifications and autosave alone.
+ */
+function loadDocumentState(doc) {
+    state.activeDocumentId = doc.id;
+    state.canvas.width = doc.image.width;
+    state.canvas.height = doc.image.height;
+    state.ctx = state.canvas.getContext('2d', { willReadFrequently: true });
+    state.baseImage = doc.image;
+    state.annotations = doc.annotations;
+    state.nextAnnotationId = doc.nextAnnotationId;
+    state.undoStack = doc.undoStack;
+    state.redoStack = doc.redoStack;
+    state.zoom = doc.zoom;
+    state.clip = doc.clip;
+    state.clipFrame = doc.clipFrame;
+    state.sessionId = doc.sessionId;
+    state.selectedId = null;
+}
+
+/**
+ * Show a tab in the editor
+ */
+function showDocument(doc) {
+    loadDocumentState(doc);
+    state.pendingRestyle = null;
+    updateUndoButton();
+    updateClipUI();
+    applyZoom();
+    redrawCanvas();
+    renderLayers();
+    renderFilmstrip();
+}
+
+/**
+ * Switch the editor to another open image
+ */
+function switchDocument(id) {
+    const doc = state.documents.find(item => item.id === id);
+    if (!doc || doc.id === state.activeDocumentId) return;
+    stashDocument();
+    showDocument(doc);
+}
+
+/**
+ * Release what an open image holds outside the page, such as a recorded clip
+ */
+function releaseDocument(doc) {
+    if (doc.clip) {
+        doc.clip.video.pause();
+        URL.revokeObjectURL(doc.clip.url);
+        doc.clip.video.removeAttribute('src');
+    }
+}
+
+/**
+ * Close an open image, asking first when it isn't kept in Recent Captures
+ * Recorded clips are never autosaved, so closing one loses it for good.
+ */
+function requestCloseDocument(id) {
+    const doc = state.documents.find(item => item.id === id);
+    if (!doc) return;
+    if (doc.sessionId) {
+        closeDocument(id);
+    } else {
+        showConfirmModal('Close this clip? It is not kept in Recent Captures.', () => closeDocument(id));
+    }
+}
+
+/**
+ * Close one open image; closing the last one leaves the editor
+ */
+function closeDocument(id) {
+    hideConfirmModal();
+    const index = state.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return;
+    if (state.documents.length === 1) {
+        backToCapture();
+        return;
+    }
+    
+    const doc = state.documents[index];
+    if (doc.id === state.activeDocumentId) {
+        switchDocument((state.documents[index + 1] || state.documents[index - 1]).id);
+    }
+    releaseDocument(doc);
+    state.documents.splice(state.documents.indexOf(doc), 1);
+    renderFilmstrip();
+    if (doc.sessionId) {
+        showNotification('✅ Image closed; it is still in Recent Captures', 'success');
+    }
+}
+
+/**
+ * Move an open image to a new place in the filmstrip
+ */
+function reorderDocument(id, targetId, before) {
+    const doc = state.documents.find(item => item.id === id);
+    if (!doc || id === targetId) return;
+    state.documents.splice(state.documents.indexOf(doc), 1);
+    const targetIndex = state.documents.findIndex(item => item.id === targetId);
+    state.documents.splice(before ? targetIndex : targetIndex + 1, 0, doc);
+    renderFilmstrip();
+}
+
+/**
+ * Draw the filmstrip of open images
+ */
+function renderFilmstrip() {
+    const active = getActiveDocument();
+    if (active) {
+        active.thumbnail = active.thumbnail || createThumbnail();
+    }
+    elements.filmstripList.replaceChildren(...state.documents.map(createFilmstripItem));
+    elements.filmstripExport.disabled = state.documents.length < 2;
+}
+
+/**
+ * Build the filmstrip tab for one open image
+ */
+function createFilmstripItem(doc, index) {
+    const isActive = doc.id === state.activeDocumentId;
+    const item = document.createElement('div');
+    item.className = 'filmstrip__item';
+    item.classList.toggle('filmstrip__item--active', isActive);
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(doc.id));
+        state.filmstripDragId = doc.id;
+    });
+    item.addEventListener('dragover', (e) => {
+        if (state.filmstripDragId === null) return;
+        e.preventDefault();
+    });
+    item.addEventListener('drop', (e) => {
+        if (state.filmstripDragId === null) return;
+        e.preventDefault();
+        const rect = item.getBoundingClientRect();
+        reorderDocument(state.filmstripDragId, doc.id, e.clientX < rect.left + rect.width / 2);
+    });
+    item.addEventListener('dragend', () => {
+        state.filmstripDragId = null;
+    });
+    
+    const tab = document.createElement('button');
+    tab.className = 'filmstrip__tab';
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-selected', String(isActive));
+    tab.title = `Image ${index + 1} (${doc.image.width}×${doc.image.height})`;
+    tab.addEventListener('click', () => switchDocument(doc.id));
+    
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'filmstrip__thumbnail';
+    thumbnail.src = doc.thumbnail || '';
+    thumbnail.alt = '';
+    thumbnail.draggable = false;
+    const label = document.createElement('span');
+    label.className = 'filmstrip__label';
+    // The active tab's clip lives in the editor state until it is stashed
+    const clip = isActive ? state.clip : doc.clip;
+    label.textContent = clip ? `${index + 1} 🎬` : String(index + 1);
+    tab.append(thumbnail, label);
+    
+    const close = document.createElement('button');
+    close.className = 'filmstrip__close';
+    close.textContent = '✕';
+    close.setAttribute('aria-label', `Close image ${index + 1}`);
+    close.addEventListener('click', () => requestCloseDocument(doc.id));
+    
+    item.append(tab, close);
+    return item;
+}
+
+/**
+ * Open uploaded images in new tabs, in the order they were picked
+ */
+async function handleFilmstripUpload(event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    const images = files.filter(file => file.type.startsWith('image/'));
+    if (images.length < files.length) {
+        showNotification('⚠️ Skipped files that are not images', 'error');
+    }
+    
+    // One unreadable file doesn't stop the rest from opening
+    for (const file of images) {
+        try {
+            const dataURL = await new Promise((resolve, reject) => importImageFile(file, resolve, reject));
+            await loadImageToEditor(dataURL);
+        } catch (error) {
+            console.error('Image upload error:', error);
+            showNotification(`❌ Could not open ${file.name}: ${error.message}`, 'error');
+        }
+    }
+}
+
+/**
+ * Get the on-screen size of one image pixel
+ */
+function getZoom() {
+    return state.zoom === null ? getFitZoom() : state.zoom;
+}
+
+/**
+ * Get the zoom that fits the whole image in the canvas area
+ */
+function getFitZoom() {
+    const wrapper = elements.canvasWrapper;
+    if (!wrapper.clientWidth || !wrapper.clientHeight) return 1;
+    return Math.min(1, wrapper.clientWidth / state.canvas.width, wrapper.clientHeight / state.canvas.height);
+}
+
+/**
+ * Size the canvas element for the current zoom
+ */
+function applyZoom() {
+    const zoom = getZoom();
+    state.canvas.style.width = `${state.canvas.width * zoom}px`;
+    state.canvas.style.height = `${state.canvas.height * zoom}px`;
+    state.canvas.classList.toggle('editor-canvas--pixelated', zoom >= 2);
+    elements.zoomLevel.textContent = state.zoom === null ? `Fit (${Math.round(zoom * 100)}%)` : `${Math.round(zoom * 100)}%`;
+    styleTextEditor();
+    scheduleMinimapUpdate();
+}
+
+/**
+ * Zoom to a level, keeping the image pixel under the anchor point in place
+ */
+function setZoom(zoom, anchor = null) {
+    const wrapper = elements.canvasWrapper;
+    const viewRect = wrapper.getBoundingClientRect();
+    const point = anchor || {
+        clientX: viewRect.left + wrapper.clientLeft + wrapper.clientWidth / 2,
+        clientY: viewRect.top + wrapper.clientTop + wrapper.clientHeight / 2
+    };
+    const before = getCanvasMousePosition(state.canvas, point);
+    
+    state.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    applyZoom();
+    
+    const canvasRect = state.canvas.getBoundingClientRect();
+    wrapper.scrollLeft += canvasRect.left + before.x * state.zoom - point.clientX;
+    wrapper.scrollTop += canvasRect.top + before.y * state.zoom - point.clientY;
+}
+
+/**
+ * Zoom in or out by a factor
+ */
+function zoomBy(factor, anchor = null) {
+    setZoom(getZoom() * factor, anchor);
+}
+
+/**
+ * Fit the whole image in the canvas area
+ */
+function zoomToFit() {
+    state.zoom = null;
+    applyZoom();
+}
+
+/**
+ * Zoom with Ctrl/Cmd + wheel (also sent by trackpad pinch)
+ */
+function handleCanvasWheel(event) {
+    if (!(event.ctrlKey || event.metaKey) || !state.baseImage) return;
+    event.preventDefault();
+    zoomBy(Math.pow(ZOOM_STEP, Math.max(-1, Math.min(1, -event.deltaY / 100))), event);
+}
+
+/**
+ * Handle zoom shortcuts and space-to-pan; returns true when the key was used
+ */
+function handleViewportKey(event) {
+    if (elements.editorSection.classList.contains('section--hidden')) return false;
+    
+    if (event.key === ' ') {
+        // Space still presses a focused button, select or checkbox
+        if (!isPanKeyTarget(document.activeElement)) return false;
+        event.preventDefault();
+        setSpaceHeld(true);
+        return true;
+    }
+    if (!(event.ctrlKey || event.metaKey)) return false;
+    
+    const actions = {
+        '0': zoomToFit,
+        '1': () => setZoom(1),
+        '2': () => setZoom(2),
+        '=': () => zoomBy(ZOOM_STEP),
+        '+': () => zoomBy(ZOOM_STEP),
+        '-': () => zoomBy(1 / ZOOM_STEP)
+    };
+    if (!actions[event.key]) return false;
+    event.preventDefault();
+    actions[event.key]();
+    return true;
+}
+
+/**
+ * Check whether Space may start panning while this element has focus
+ */
+function isPanKeyTarget(target) {
+    return !target || target === document.body || target === state.canvas || target === elements.canvasWrapper;
+}
+
+/**
+ * Toggle space-drag panning mode
+ */
+function setSpaceHeld(isHeld) {
+    state.isSpaceHeld = isHeld;
+    elements.canvasWrapper.classList.toggle('canvas-wrapper--pan', isHeld || state.panDrag !== null);
+}
+
+/**
+ * Begin panning (space-drag or middle button) or pinch zoom
+ * Returns true when the pointer is used by the viewport instead of the tool.
+ */
+function startViewportGesture(event) {
+    if (event.pointerType === 'touch') {
+        state.touchPointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+        if (state.touchPointers.size === 2) {
+            cancelDrawing();
+            const [a, b] = [...state.touchPointers.values()];
+            state.pinch = { distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY) || 1, zoom: getZoom() };
+            return true;
+        }
+    }
+    if (state.pinch) return true;
+    
+    if (state.isSpaceHeld || event.button === 1) {
+        event.preventDefault();
+        state.panDrag = {
+            clientX: event.clientX,
+            clientY: event.clientY,
+            scrollLeft: elements.canvasWrapper.scrollLeft,
+            scrollTop: elements.canvasWrapper.scrollTop
+        };
+        state.canvas.setPointerCapture?.(event.pointerId);
+        elements.canvasWrapper.classList.add('canvas-wrapper--pan');
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Continue a pan or pinch gesture
+ */
+function moveViewportGesture(event) {
+    if (state.touchPointers.has(event.pointerId)) {
+        state.touchPointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+    }
+    
+    if (state.pinch && state.touchPointers.size === 2) {
+        const [a, b] = [...state.touchPointers.values()];
+        const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+        setZoom(state.pinch.zoom * distance / state.pinch.distance, {
+            clientX: (a.clientX + b.clientX) / 2,
+            clientY: (a.clientY + b.clientY) / 2
+        });
+        return true;
+    }
+    
+    if (state.panDrag) {
+        elements.canvasWrapper.scrollLeft = state.panDrag.scrollLeft - (event.clientX - state.panDrag.clientX);
+        elements.canvasWrapper.scrollTop = state.panDrag.scrollTop - (event.clientY - state.panDrag.clientY);
+        return true;
+    }
+    return state.pinch !== null;
+}
+
+/**
+ * Finish a pan or pinch gesture
+ */
+function endViewportGesture(event) {
+    if (event.type !== 'pointerleave') {
+        state.touchPointers.delete(event.pointerId);
+    }
+    
+    if (state.pinch) {
+        if (state.touchPointers.size < 2) {
+            state.pinch = null;
+        }
+        return true;
+    }
+    
+    if (state.panDrag) {
+        if (event.type === 'pointerleave') return true;
+        state.panDrag = null;
+        setSpaceHeld(state.isSpaceHeld);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Abandon the stroke in progress when a second finger starts a pinch
+ */
+function cancelDrawing() {
+    if (!state.isDrawing) return;
+    if (state.currentTool === 'select') {
+        finishSelectionDrag();
+    }
+    state.isDrawing = false;
+    state.currentPath = null;
+    redrawCanvas();
+}
+
+/**
+ * Redraw the minimap on the next animation frame
+ */
+function scheduleMinimapUpdate() {
+    if (state.minimapFrame !== null) return;
+    state.minimapFrame = requestAnimationFrame(() => {
+        state.minimapFrame = null;
+        updateMinimap();
+    });
+}
+
+/**
+ * Get the part of the image visible in the canvas area, in image pixels
+ */
+function getVisibleImageRect() {
+    const wrapper = elements.canvasWrapper;
+    const zoom = getZoom();
+    const viewRect = wrapper.getBoundingClientRect();
+    const canvasRect = state.canvas.getBoundingClientRect();
+    const x = Math.max(0, (viewRect.left + wrapper.clientLeft - canvasRect.left) / zoom);
+    const y = Math.max(0, (viewRect.top + wrapper.clientTop - canvasRect.top) / zoom);
+    return {
+        x,
+        y,
+        width: Math.min(state.canvas.width - x, wrapper.clientWidth / zoom),
+        height: Math.min(state.canvas.height - y, wrapper.clientHeight / zoom)
+    };
+}
+
+/**
+ * Draw the minimap with the visible area outlined; hidden when everything fits
+ */
+function updateMinimap() {
+    const minimap = elements.minimap;
+    const visible = getVisibleImageRect();
+    const isCropped = visible.width < state.canvas.width - 1 || visible.height < state.canvas.height - 1;
+    minimap.classList.toggle('minimap--hidden', !state.baseImage || !isCropped);
+    if (!state.baseImage || !isCropped) return;
+    
+    const scale = MINIMAP_WIDTH / state.canvas.width;
+    minimap.width = MINIMAP_WIDTH;
+    minimap.height = Math.max(1, Math.round(state.canvas.height * scale));
+    const ctx = minimap.getContext('2d');
+    ctx.drawImage(state.canvas, 0, 0, minimap.width, minimap.height);
+    ctx.strokeStyle = '#1677FF';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(visible.x * scale, visible.y * scale, visible.width * scale, visible.height * scale);
+}
+
+/**
+ * Center the view on the minimap point that was clicked or dragged over
+ */
+function handleMinimapPointer(event) {
+    if (event.type === 'pointermove' && !(event.buttons & 1)) return;
+    if (event.type === 'pointerdown') {
+        elements.minimap.setPointerCapture?.(event.pointerId);
+    }
+    
+    const rect = elements.minimap.getBoundingClientRect();
+    const imageX = (event.clientX - rect.left) / rect.width * state.canvas.width;
+    const imageY = (event.clientY - rect.top) / rect.height * state.canvas.height;
+    const visible = getVisibleImageRect();
+    const zoom = getZoom();
+    elements.canvasWrapper.scrollLeft += (imageX - visible.x - visible.width / 2) * zoom;
+    elements.canvasWrapper.scrollTop += (imageY - visible.y - visible.height / 2) * zoom;
+}
+
+/**
+ * Select tool
+ */
+function selectTool(tool) {
+    commitTextEditor();
+    state.currentTool = tool;
+    elements.toolBtns.forEach(btn => {
+        const isActive = btn.dataset.tool === tool;
+        btn.classList.toggle('tool-btn--active', isActive);
+        btn.setAttribute('aria-pressed', isActive);
+    });
+    
+    state.canvas.style.cursor = tool === 'select' ? 'default' : '';
+    if (tool !== 'select' && state.selectedId !== null) {
+        state.selectedId = null;
+        redrawCanvas();
+    }
+    updateToolOptions();
+}
+
+/**
+ * Show option groups relevant to the active tool or selection
+ */
+function updateToolOptions() {
+    const selected = getSelectedAnnotation();
+    const activeTool = selected ? selected.tool : state.currentTool;
+    elements.blurOptions.classList.toggle('toolbar__group--hidden', activeTool !== 'blur');
+    elements.spotlightOptions.classList.toggle('toolbar__group--hidden', activeTool !== 'spotlight');
+    elements.magnifierOptions.classList.toggle('toolbar__group--hidden', activeTool !== 'magnifier');
+    elements.textOptions.classList.toggle('toolbar__group--hidden', activeTool !== 'text' && !state.textEditor);
+    elements.shapeOptions.classList.toggle('toolbar__group--hidden', !SHAPE_TOOLS.includes(activeTool));
+    if (SHAPE_TOOLS.includes(activeTool)) {
+        elements.shapeOptions.querySelectorAll('[data-shape-option]').forEach(control => {
+            control.classList.toggle('shape-option--hidden', !SHAPE_STYLE_OPTIONS[activeTool].includes(control.dataset.shapeOption));
+        });
+    }
+    elements.blurStrength.disabled = state.blurMode === 'redact';
+    updateClipTimingControls();
+    renderLayers();
+}
+
+/**
+ * Create annotation with a unique id
+ */
+function createAnnotation(props) {
+    return { id: state.nextAnnotationId++, ...props };
+}
+
+/**
+ * Start drawing
+ */
+function startDrawing(event) {
+    if (startViewportGesture(event)) return;
+    if (event.button !== 0) return;
+    if (state.textEditor) {
+        // A click outside the open text editor only finishes editing
+        commitTextEditor();
+        return;
+    }
+    state.isDrawing = true;
+    const pos = getCanvasMousePosition(state.canvas, event);
+    state.startX = pos.x;
+    state.startY = pos.y;
+    state.canvas.setPointerCapture?.(event.pointerId);
+    
+    if (FREEHAND_TOOLS.includes(state.currentTool)) {
+        state.currentPath = [[pos.x, pos.y, getPointerPressure(event)]];
+    } else if (state.currentTool === 'select') {
+        startSelectionDrag(pos);
+    } else if (state.currentTool === 'text') {
+        // The canvas can't take focus, so the mousedown that follows would blur the new editor
+        event.preventDefault();
+        const hit = findAnnotationAt(pos.x, pos.y);
+        openTextEditor(hit && hit.tool === 'text' ? hit : null, pos.x, pos.y);
+        state.isDrawing = false;
+    }
+}
+
+/**
+ * Draw annotation
+ */
+function draw(event) {
+    if (moveViewportGesture(event)) return;
+    if (state.currentTool === 'select') {
+        dragSelection(getCanvasMousePosition(state.canvas, event));
+        return;
+    }
+    if (!state.isDrawing) return;
+    
+    if (state.currentPath) {
+        const events = event.getCoalescedEvents?.() || [];
+        (events.length > 0 ? events : [event]).forEach(pointerEvent => {
+            const point = getCanvasMousePosition(state.canvas, pointerEvent);
+            state.currentPath.push([point.x, point.y, getPointerPressure(pointerEvent)]);
+        });
+        redrawCanvas();
+        drawAnnotation(createFreehandAnnotation(state.currentPath));
+        return;
+    }
+    
+    if (state.currentTool === 'step') {
+        redrawCanvas();
+        drawAnnotation(createStepAnnotation(getCanvasMousePosition(state.canvas, event)));
+        return;
+    }
+    
+    const pos = getCanvasMousePosition(state.canvas, event);
+    const currentX = pos.x;
+    const currentY = pos.y;
+    
+    if (state.currentTool === 'magnifier') {
+        redrawCanvas();
+        drawAnnotation(createMagnifierAnnotation(state.startX, state.startY, currentX, currentY));
+        return;
+    }
+    
+    // The new region is drawn into its spotlight so the dim is not doubled
+    if (state.currentTool === 'spotlight') {
+        state.spotlightPreview = {
+            shape: state.spotlightStyle.shape,
+            startX: state.startX,
+            startY: state.startY,
+            endX: currentX,
+            endY: currentY
+        };
+        redrawCanvas();
+        return;
+    }
+    
+    redrawCanvas();
+    
+    if (SHAPE_TOOLS.includes(state.currentTool)) {
+        drawAnnotation({
+            tool: state.currentTool,
+            startX: state.startX,
+            startY: state.startY,
+            endX: currentX,
+            endY: currentY,
+            color: state.currentColor,
+            strokeWidth: state.strokeWidth,
+            ...getNewShapeStyle(state.currentTool)
+        });
+        return;
+    }
+    
+    state.ctx.strokeStyle = state.currentColor;
+    state.ctx.fillStyle = state.currentColor;
+    state.ctx.lineWidth = state.strokeWidth;
+    state.ctx.lineCap = 'round';
+    state.ctx.lineJoin = 'round';
+    
+    switch (state.currentTool) {
+        case 'blur':
+            drawBlurPreview(state.startX, state.startY, currentX, currentY);
+            break;
+        case 'crop':
+        case 'ocr':
+            drawCropPreview(state.startX, state.startY, currentX, currentY);
+            break;
+    }
+}
+
+/**
+ * Stop drawing - FIXED: Store blur annotations properly
+ */
+function stopDrawing(event) {
+    if (endViewportGesture(event)) return;
+    if (!state.isDrawing) return;
+    
+    if (state.currentTool === 'select') {
+        finishSelectionDrag();
+        state.isDrawing = false;
+        return;
+    }
+    
+    const pos = getCanvasMousePosition(state.canvas, event);
+    const endX = pos.x;
+    const endY = pos.y;
+    state.isDrawing = false;
+    
+    if (state.currentPath) {
+        const points = simplifyPath(state.currentPath, FREEHAND_SIMPLIFY_TOLERANCE * getCanvasScale());
+        state.currentPath = null;
+        addAnnotation(createAnnotation(createFreehandAnnotation(points)));
+        return;
+    }
+    
+    if (state.currentTool === 'step') {
+        addAnnotation(createAnnotation(createStepAnnotation(pos)));
+        return;
+    }
+    
+    if (state.currentTool === 'crop') {
+        cropImage(state.startX, state.startY, endX, endY);
+        return;
+    }
+    
+    if (state.currentTool === 'ocr') {
+        extractTextFromRegion(state.startX, state.startY, endX, endY);
+        return;
+    }
+    
+    if (state.currentTool === 'magnifier') {
+        addAnnotation(createAnnotation(createMagnifierAnnotation(state.startX, state.startY, endX, endY)));
+        return;
+    }
+    
+    if (state.currentTool === 'spotlight') {
+        state.spotlightPreview = null;
+        addSpotlightRegion(state.startX, state.startY, endX, endY);
+        return;
+    }
+    
+    // Blur regions are re-applied from the base image by redrawCanvas(),
+    // so undo no longer needs a full-canvas pixel backup
+    if (state.currentTool === 'blur' &&
+        (Math.abs(endX - state.startX) <= 1 || Math.abs(endY - state.startY) <= 1)) {
+        redrawCanvas();
+        return;
+    }
+    
+    const annotation = createAnnotation({
+        tool: state.currentTool,
+        startX: state.startX,
+        startY: state.startY,
+        endX: endX,
+        endY: endY,
+        color: state.currentColor,
+        strokeWidth: state.strokeWidth
+    });
+    if (annotation.tool === 'blur') {
+        annotation.blurMode = state.blurMode;
+        annotation.blurStrength = state.blurStrength;
+    }
+    if (SHAPE_TOOLS.includes(annotation.tool)) {
+        Object.assign(annotation, getNewShapeStyle(annotation.tool));
+    }
+    addAnnotation(annotation);
+}
+
+/**
+ * Read stylus pressure, treating devices without it as medium pressure
+ */
+function getPointerPressure(event) {
+    return event.pointerType === 'pen' && event.pressure > 0 ? event.pressure : 0.5;
+}
+
+/**
+ * Build an unsaved freehand annotation from recorded points
+ */
+function createFreehandAnnotation(points) {
+    return {
+        tool: state.currentTool,
+        points,
+        color: state.currentColor,
+        strokeWidth: state.strokeWidth
+    };
+}
+
+/**
+ * Simplify a point path (Ramer-Douglas-Peucker)
+ */
+function simplifyPath(points, tolerance) {
+    if (points.length < 3) return points;
+    
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const ranges = [[0, points.length - 1]];
+    
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let maxDistance = 0;
+        let farthest = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(
+                points[i][0], points[i][1],
+                points[first][0], points[first][1],
+                points[last][0], points[last][1]
+            );
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (maxDistance > tolerance) {
+            keep[farthest] = 1;
+            ranges.push([first, farthest], [farthest, last]);
+        }
+    }
+    
+    return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Split a point path into smooth Catmull-Rom bezier segments
+ */
+function getFreehandSegments(points) {
+    return points.slice(0, -1).map((from, i) => {
+        const before = points[Math.max(0, i - 1)];
+        const to = points[i + 1];
+        const after = points[Math.min(points.length - 1, i + 2)];
+        return {
+            from,
+            to,
+            cp1: [from[0] + (to[0] - before[0]) / 6, from[1] + (to[1] - before[1]) / 6],
+            cp2: [to[0] - (after[0] - from[0]) / 6, to[1] - (after[1] - from[1]) / 6],
+            pressure: (from[2] + to[2]) / 2
+        };
+    });
+}
+
+/**
+ * Get the base line width and opacity of a freehand annotation
+ */
+function getFreehandStyle(annotation) {
+    return annotation.tool === 'marker'
+        ? { width: annotation.strokeWidth * MARKER_WIDTH_FACTOR, opacity: MARKER_OPACITY }
+        : { width: annotation.strokeWidth, opacity: 1 };
+}
+
+/**
+ * Whether a freehand path needs per-segment widths for pressure
+ */
+function hasVariablePressure(annotation) {
+    return annotation.tool === 'pen' && annotation.points.some(point => point[2] !== annotation.points[0][2]);
+}
+
+/**
+ * Draw smoothed freehand path
+ */
+function drawFreehand(annotation) {
+    const points = annotation.points;
+    if (points.length === 0) return;
+    
+    const { width, opacity } = getFreehandStyle(annotation);
+    state.ctx.save();
+    state.ctx.globalAlpha = opacity;
+    state.ctx.lineWidth = width;
+    
+    if (points.length === 1) {
+        state.ctx.beginPath();
+        state.ctx.arc(points[0][0], points[0][1], width / 2, 0, 2 * Math.PI);
+        state.ctx.fill();
+    } else if (hasVariablePressure(annotation)) {
+        getFreehandSegments(points).forEach(segment => {
+            state.ctx.lineWidth = width * Math.max(0.2, segment.pressure * 2);
+            state.ctx.beginPath();
+            state.ctx.moveTo(segment.from[0], segment.from[1]);
+            state.ctx.bezierCurveTo(segment.cp1[0], segment.cp1[1], segment.cp2[0], segment.cp2[1], segment.to[0], segment.to[1]);
+            state.ctx.stroke();
+        });
+    } else {
+        state.ctx.beginPath();
+        state.ctx.moveTo(points[0][0], points[0][1]);
+        getFreehandSegments(points).forEach(segment => {
+            state.ctx.bezierCurveTo(segment.cp1[0], segment.cp1[1], segment.cp2[0], segment.cp2[1], segment.to[0], segment.to[1]);
+        });
+        state.ctx.stroke();
+    }
+    state.ctx.restore();
+}
+
+/**
+ * Build an unsaved step badge, with a leader line if the pointer was dragged
+ */
+function createStepAnnotation(pos) {
+    const annotation = {
+        tool: 'step',
+        x: state.startX,
+        y: state.startY,
+        color: state.currentColor,
+        strokeWidth: state.strokeWidth
+    };
+    if (Math.hypot(pos.x - state.startX, pos.y - state.startY) > STEP_LEADER_MIN_DISTANCE * getCanvasScale()) {
+        annotation.targetX = pos.x;
+        annotation.targetY = pos.y;
+    }
+    return annotation;
+}
+
+/**
+ * Get a step badge's number from its position among the shown step badges
+ * Unsaved badges (previews) are numbered after the existing ones, and a hidden
+ * badge gets the number it would have if shown.
+ */
+function getStepNumber(annotation) {
+    const steps = state.annotations.filter(item => item.tool === 'step' && (!item.hidden || item.id === annotation.id));
+    const index = steps.findIndex(item => item.id === annotation.id);
+    return (index === -1 ? steps.length : index) + 1;
+}
+
+/**
+ * Get step badge radius
+ */
+function getStepRadius(annotation) {
+    return 10 + annotation.strokeWidth * 2;
+}
+
+/**
+ * Pick black or white text for legibility on a background color
+ */
+function getContrastingTextColor(hex) {
+    const value = parseInt(hex.slice(1, 7), 16);
+    const r = (value >> 16) & 255;
+    const g = (value >> 8) & 255;
+    const b = value & 255;
+    return (r * 299 + g * 587 + b * 114) / 1000 > 160 ? '#000000' : '#FFFFFF';
+}
+
+/**
+ * Draw numbered step badge with optional leader line
+ */
+function drawStep(annotation) {
+    const radius = getStepRadius(annotation);
+    
+    if (annotation.targetX !== undefined) {
+        state.ctx.beginPath();
+        state.ctx.moveTo(annotation.x, annotation.y);
+        state.ctx.lineTo(annotation.targetX, annotation.targetY);
+        state.ctx.stroke();
+        state.ctx.beginPath();
+        state.ctx.arc(annotation.targetX, annotation.targetY, Math.max(3, annotation.strokeWidth), 0, 2 * Math.PI);
+        state.ctx.fill();
+    }
+    
+    state.ctx.beginPath();
+    state.ctx.arc(annotation.x, annotation.y, radius, 0, 2 * Math.PI);
+    state.ctx.fill();
+    state.ctx.lineWidth = 2;
+    state.ctx.strokeStyle = '#FFFFFF';
+    state.ctx.stroke();
+    
+    state.ctx.fillStyle = getContrastingTextColor(annotation.color);
+    state.ctx.font = `600 ${Math.round(radius * 1.1)}px Inter, sans-serif`;
+    state.ctx.textAlign = 'center';
+    state.ctx.textBaseline = 'middle';
+    state.ctx.fillText(String(getStepNumber(annotation)), annotation.x, annotation.y + 1);
+    state.ctx.textAlign = 'start';
+    state.ctx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Get text style with defaults for annotations saved before text styling
+ */
+function getTextStyle(annotation) {
+    return {
+        fontFamily: annotation.fontFamily || DEFAULT_TEXT_STYLE.fontFamily,
+        fontSize: annotation.fontSize,
+        fontWeight: annotation.fontWeight || DEFAULT_TEXT_STYLE.fontWeight,
+        background: annotation.background || DEFAULT_TEXT_STYLE.background
+    };
+}
+
+/**
+ * Get canvas font string for a text annotation
+ */
+function getTextFont(annotation) {
+    const style = getTextStyle(annotation);
+    return `${style.fontWeight} ${style.fontSize}px ${TEXT_FONTS[style.fontFamily] || TEXT_FONTS.sans}`;
+}
+
+/**
+ * Break text into lines, wrapping words at the annotation's max width
+ */
+function layoutText(annotation) {
+    state.ctx.font = getTextFont(annotation);
+    const lines = [];
+    
+    annotation.text.split('\n').forEach(paragraph => {
+        if (!annotation.maxWidth) {
+            lines.push(paragraph);
+            return;
+        }
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && state.ctx.measureText(candidate).width > annotation.maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    
+    return {
+        lines,
+        width: Math.max(...lines.map(line => state.ctx.measureText(line).width)),
+        lineHeight: annotation.fontSize * TEXT_LINE_HEIGHT
+    };
+}
+
+/**
+ * Trace a rounded rectangle path
+ */
+function traceRoundedRect(x, y, width, height, radius, ctx = state.ctx) {
+    const r = Math.max(0, Math.min(radius, Math.abs(width) / 2, Math.abs(height) / 2));
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+}
+
+/**
+ * Draw multiline text with optional background box or outline
+ */
+function drawText(annotation) {
+    const style = getTextStyle(annotation);
+    const layout = layoutText(annotation);
+    const contrast = getContrastingTextColor(annotation.color);
+    
+    if (style.background === 'fill') {
+        const box = getAnnotationBounds(annotation);
+        state.ctx.fillStyle = annotation.color;
+        traceRoundedRect(box.x, box.y, box.width, box.height, style.fontSize * 0.25);
+        state.ctx.fill();
+    }
+    
+    state.ctx.font = getTextFont(annotation);
+    state.ctx.fillStyle = style.background === 'fill' ? contrast : annotation.color;
+    state.ctx.strokeStyle = contrast;
+    state.ctx.lineWidth = Math.max(2, style.fontSize / 6);
+    
+    layout.lines.forEach((line, i) => {
+        const lineY = annotation.y + i * layout.lineHeight;
+        if (style.background === 'outline') {
+            state.ctx.strokeText(line, annotation.x, lineY);
+        }
+        state.ctx.fillText(line, annotation.x, lineY);
+    });
+}
+
+/**
+ * Get the style of a shape, with defaults for annotations saved before shape styling
+ */
+function getShapeStyle(annotation) {
+    const style = { ...DEFAULT_SHAPE_STYLE };
+    SHAPE_STYLE_KEYS.forEach(key => {
+        if (annotation[key] !== undefined) {
+            style[key] = annotation[key];
+        }
+    });
+    return style;
+}
+
+/**
+ * Current style options that apply to a new shape of this kind
+ */
+function getNewShapeStyle(tool) {
+    return Object.fromEntries(SHAPE_STYLE_OPTIONS[tool].map(key => [key, state.shapeStyle[key]]));
+}
+
+/**
+ * Dash pattern for a line style, scaled to the stroke width
+ */
+function getDashPattern(lineStyle, width) {
+    if (lineStyle === 'dashed') return [width * 3, width * 2];
+    // Zero-length dashes with round caps draw as dots
+    if (lineStyle === 'dotted') return [0, width * 2];
+    return [];
+}
+
+/**
+ * Drop shadow size for a shape, in image pixels
+ */
+function getShadowSettings(annotation) {
+    return { blur: 4 + annotation.strokeWidth * 2, offset: 2 + annotation.strokeWidth / 2 };
+}
+
+/**
+ * Draw an arrow, rectangle, circle or highlight with its saved style
+ * A see-through shape is drawn solid on a layer first, so its fill, outline and
+ * arrowheads don't darken where they overlap.
+ */
+function drawShape(annotation) {
+    const style = getShapeStyle(annotation);
+    const translucent = style.opacity < 1;
+    const ctx = translucent ? getShapeLayer() : state.ctx;
+    
+    ctx.save();
+    ctx.strokeStyle = annotation.color;
+    ctx.fillStyle = annotation.color;
+    ctx.lineWidth = annotation.strokeWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    if (style.shadow) {
+        const shadow = getShadowSettings(annotation);
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+        ctx.shadowBlur = shadow.blur;
+        ctx.shadowOffsetX = shadow.offset;
+        ctx.shadowOffsetY = shadow.offset;
+    }
+    
+    switch (annotation.tool) {
+        case 'arrow':
+            drawArrow(annotation, style, ctx);
+            break;
+        case 'rect':
+            drawRect(annotation, style, ctx);
+            break;
+        case 'circle':
+            drawCircle(annotation, style, ctx);
+            break;
+        case 'highlight':
+            drawHighlight(annotation, style, ctx);
+            break;
+    }
+    ctx.restore();
+    
+    if (translucent) {
+        state.ctx.save();
+        state.ctx.globalAlpha = style.opacity;
+        state.ctx.drawImage(ctx.canvas, 0, 0);
+        state.ctx.restore();
+    }
+}
+
+/**
+ * Get the cleared, canvas-sized layer that see-through shapes are drawn on
+ */
+function getShapeLayer() {
+    const { width, height } = state.canvas;
+    if (!state.shapeLayer) {
+        state.shapeLayer = document.createElement('canvas');
+    }
+    const layer = state.shapeLayer;
+    if (layer.width !== width || layer.height !== height) {
+        layer.width = width;
+        layer.height = height;
+    }
+    const ctx = layer.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    return ctx;
+}
+
+/**
+ * Get the bend point of a curved arrow, or null when it is straight
+ * The bend is stored as a sideways offset relative to the arrow's length.
+ */
+function getArrowControlPoint(annotation) {
+    const curve = annotation.curve || 0;
+    if (!curve) return null;
+    
+    const dx = annotation.endX - annotation.startX;
+    const dy = annotation.endY - annotation.startY;
+    return {
+        x: (annotation.startX + annotation.endX) / 2 - dy * curve,
+        y: (annotation.startY + annotation.endY) / 2 + dx * curve
+    };
+}
+
+/**
+ * Work out the bend that puts a curved arrow's control point at a position
+ */
+function getArrowCurve(annotation, controlX, controlY) {
+    const dx = annotation.endX - annotation.startX;
+    const dy = annotation.endY - annotation.startY;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) return 0;
+    
+    const offsetX = controlX - (annotation.startX + annotation.endX) / 2;
+    const offsetY = controlY - (annotation.startY + annotation.endY) / 2;
+    return Math.round((offsetY * dx - offsetX * dy) / lengthSquared * 1000) / 1000;
+}
+
+/**
+ * Sample an arrow's line as points, following its curve
+ */
+function getArrowPoints(annotation, segments = 24) {
+    const control = getArrowControlPoint(annotation);
+    if (!control) {
+        return [[annotation.startX, annotation.startY], [annotation.endX, annotation.endY]];
+    }
+    
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        points.push([
+            a * annotation.startX + b * control.x + c * annotation.endX,
+            a * annotation.startY + b * control.y + c * annotation.endY
+        ]);
+    }
+    return points;
+}
+
+/**
+ * Get the arrowheads of an arrow as [tip, left, right] point triples
+ * Heads follow the curve's direction at each end.
+ */
+function getArrowheads(annotation, style) {
+    if (style.arrowhead === 'none') return [];
+    
+    const headLength = Math.max(15, annotation.strokeWidth * 4);
+    const control = getArrowControlPoint(annotation);
+    const head = (tipX, tipY, fromX, fromY) => {
+        const angle = Math.atan2(tipY - fromY, tipX - fromX);
+        return [
+            [tipX, tipY],
+            [tipX - headLength * Math.cos(angle - Math.PI / 6), tipY - headLength * Math.sin(angle - Math.PI / 6)],
+            [tipX - headLength * Math.cos(angle + Math.PI / 6), tipY - headLength * Math.sin(angle + Math.PI / 6)]
+        ];
+    };
+    
+    const heads = [head(
+        annotation.endX, annotation.endY,
+        control ? control.x : annotation.startX, control ? control.y : annotation.startY
+    )];
+    if (style.arrowhead === 'double') {
+        heads.push(head(
+            annotation.startX, annotation.startY,
+            control ? control.x : annotation.endX, control ? control.y : annotation.endY
+        ));
+    }
+    return heads;
+}
+
+/**
+ * Draw arrow
+ */
+function drawArrow(annotation, style, ctx) {
+    const control = getArrowControlPoint(annotation);
+    
+    ctx.setLineDash(getDashPattern(style.lineStyle, annotation.strokeWidth));
+    ctx.beginPath();
+    ctx.moveTo(annotation.startX, annotation.startY);
+    if (control) {
+        ctx.quadraticCurveTo(control.x, control.y, annotation.endX, annotation.endY);
+    } else {
+        ctx.lineTo(annotation.endX, annotation.endY);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    getArrowheads(annotation, style).forEach(([tip, left, right]) => {
+        ctx.beginPath();
+        ctx.moveTo(...left);
+        ctx.lineTo(...tip);
+        ctx.lineTo(...right);
+        if (style.arrowhead === 'filled') {
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.stroke();
+    });
+}
+
+/**
+ * Draw rectangle
+ */
+function drawRect(annotation, style, ctx) {
+    const bounds = getAnnotationBounds(annotation);
+    
+    if (style.fill) {
+        ctx.fillStyle = style.fillColor;
+        traceRoundedRect(bounds.x, bounds.y, bounds.width, bounds.height, style.cornerRadius, ctx);
+        ctx.fill();
+        // The fill already casts the shadow
+        ctx.shadowColor = 'transparent';
+    }
+    ctx.setLineDash(getDashPattern(style.lineStyle, annotation.strokeWidth));
+    traceRoundedRect(bounds.x, bounds.y, bounds.width, bounds.height, style.cornerRadius, ctx);
+    ctx.stroke();
+}
+
+/**
+ * Draw circle
+ */
+function drawCircle(annotation, style, ctx) {
+    const radius = Math.hypot(annotation.endX - annotation.startX, annotation.endY - annotation.startY);
+    
+    ctx.beginPath();
+    ctx.arc(annotation.startX, annotation.startY, radius, 0, 2 * Math.PI);
+    if (style.fill) {
+        ctx.fillStyle = style.fillColor;
+        ctx.fill();
+        ctx.shadowColor = 'transparent';
+    }
+    ctx.setLineDash(getDashPattern(style.lineStyle, annotation.strokeWidth));
+    ctx.stroke();
+}
+
+/**
+ * Draw highlight
+ */
+function drawHighlight(annotation, style, ctx) {
+    const bounds = getAnnotationBounds(annotation);
+    ctx.globalAlpha *= HIGHLIGHT_OPACITY;
+    traceRoundedRect(bounds.x, bounds.y, bounds.width, bounds.height, style.cornerRadius, ctx);
+    ctx.fill();
+}
+
+/**
+ * Get the spotlight that new regions are added to, if there is one
+ */
+function getSpotlightTarget() {
+    for (let i = state.annotations.length - 1; i >= 0; i--) {
+        const annotation = state.annotations[i];
+        if (annotation.tool === 'spotlight' && isAnnotationEditable(annotation)) {
+            return annotation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Current dim settings for a new spotlight
+ */
+function getNewSpotlightStyle() {
+    return Object.fromEntries(SPOTLIGHT_STYLE_KEYS.map(key => [key, state.spotlightStyle[key]]));
+}
+
+/**
+ * Get a spotlight's regions, including one being drawn into it
+ */
+function getSpotlightRegions(annotation) {
+    const preview = state.spotlightPreview;
+    return preview && annotation === getSpotlightTarget() ? [...annotation.regions, preview] : annotation.regions;
+}
+
+/**
+ * Get a spotlight region as a normalized rectangle
+ */
+function getRegionRect(region) {
+    return {
+        x: Math.min(region.startX, region.endX),
+        y: Math.min(region.startY, region.endY),
+        width: Math.abs(region.endX - region.startX),
+        height: Math.abs(region.endY - region.startY)
+    };
+}
+
+/**
+ * Trace a rectangular or elliptical spotlight region, shifted sideways by offsetX
+ */
+function traceSpotlightRegion(ctx, region, offsetX = 0) {
+    const rect = getRegionRect(region);
+    ctx.beginPath();
+    if (region.shape === 'ellipse') {
+        ctx.ellipse(rect.x + rect.width / 2 + offsetX, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, 2 * Math.PI);
+    } else {
+        ctx.rect(rect.x + offsetX, rect.y, rect.width, rect.height);
+    }
+}
+
+/**
+ * Darken, or blur and darken, everything outside a spotlight's regions
+ * Whatever is already on the canvas is dimmed, so annotations above the spotlight stay bright.
+ */
+function drawSpotlight(annotation) {
+    const { width, height } = state.canvas;
+    if (!state.spotlightLayer) {
+        state.spotlightLayer = document.createElement('canvas');
+    }
+    const layer = state.spotlightLayer;
+    if (layer.width !== width || layer.height !== height) {
+        layer.width = width;
+        layer.height = height;
+    }
+    const ctx = layer.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    
+    try {
+        if (annotation.dimMode === 'blur') {
+            ctx.putImageData(getSpotlightBlur(annotation), 0, 0);
+        }
+        ctx.fillStyle = `rgba(0, 0, 0, ${annotation.dimOpacity})`;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Cut out the lit regions; soft edges come from the shadow of a copy drawn off to the side
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fillStyle = '#000000';
+        const offset = annotation.feather > 0 ? width + annotation.feather * 4 : 0;
+        if (offset) {
+            ctx.shadowColor = '#000000';
+            ctx.shadowBlur = annotation.feather;
+            ctx.shadowOffsetX = offset;
+        }
+        getSpotlightRegions(annotation).forEach(region => {
+            traceSpotlightRegion(ctx, region, -offset);
+            ctx.fill();
+        });
+        ctx.restore();
+        state.ctx.drawImage(layer, 0, 0);
+    } catch (error) {
+        console.error('Spotlight error:', error);
+    }
+}
+
+/**
+ * Get a blurred copy of the canvas beneath a spotlight
+ * The blur is reused until something under the spotlight changes, so dragging stays smooth.
+ */
+function getSpotlightBlur(annotation) {
+    const index = state.annotations.indexOf(annotation);
+    const below = index === -1 ? state.annotations : state.annotations.slice(0, index);
+    // Image overlays keep their source for life, so leave the bulky data URLs out of the key
+    const key = JSON.stringify(
+        [state.canvas.width, state.canvas.height, state.clip && state.clip.time, below],
+        (name, value) => name === 'src' ? undefined : value
+    );
+    const cache = state.spotlightBlur;
+    if (cache && cache.key === key && cache.image === state.baseImage) {
+        return cache.data;
+    }
+    
+    const data = state.ctx.getImageData(0, 0, state.canvas.width, state.canvas.height);
+    gaussianBlurImageData(data, SPOTLIGHT_BLUR);
+    state.spotlightBlur = { key, image: state.baseImage, data };
+    return data;
+}
+
+/**
+ * Add a region to the top spotlight, or start a new spotlight
+ */
+function addSpotlightRegion(startX, startY, endX, endY) {
+    if (Math.abs(endX - startX) <= 1 || Math.abs(endY - startY) <= 1) {
+        redrawCanvas();
+        return;
+    }
+    
+    const region = { shape: state.spotlightStyle.shape, startX, startY, endX, endY };
+    const target = getSpotlightTarget();
+    if (!target) {
+        addAnnotation(createAnnotation({ tool: 'spotlight', regions: [region], ...getNewSpotlightStyle() }));
+        return;
+    }
+    const after = cloneAnnotation(target);
+    after.regions.push(region);
+    executeCommand({ type: 'update', before: cloneAnnotation(target), after, label: 'Add spotlight region' });
+}
+
+/**
+ * Apply a dim setting to new spotlights and the selected one
+ */
+function applySpotlightStyle(changes) {
+    Object.assign(state.spotlightStyle, changes);
+    syncSpotlightControls();
+    restyleSelection(changes);
+}
+
+/**
+ * Reflect the current spotlight settings in the spotlight controls
+ */
+function syncSpotlightControls() {
+    elements.spotlightShape.value = state.spotlightStyle.shape;
+    elements.spotlightMode.value = state.spotlightStyle.dimMode;
+    elements.spotlightOpacity.value = Math.round(state.spotlightStyle.dimOpacity * 100);
+    elements.spotlightFeather.value = state.spotlightStyle.feather;
+}
+
+/**
+ * Build an unsaved magnifier for a source region, with its inset placed beside it
+ * A click without a drag magnifies a small square around the point.
+ */
+function createMagnifierAnnotation(startX, startY, endX, endY) {
+    if (Math.abs(endX - startX) < MAGNIFIER_MIN_SOURCE && Math.abs(endY - startY) < MAGNIFIER_MIN_SOURCE) {
+        const half = MAGNIFIER_DEFAULT_SOURCE / 2;
+        [startX, startY, endX, endY] = [startX - half, startY - half, startX + half, startY + half];
+    }
+    const annotation = {
+        tool: 'magnifier',
+        startX,
+        startY,
+        endX,
+        endY,
+        color: state.currentColor,
+        strokeWidth: state.strokeWidth,
+        ...state.magnifierStyle
+    };
+    return { ...annotation, ...getMagnifierPlacement(annotation) };
+}
+
+/**
+ * Get the region a magnifier enlarges; circular magnifiers use a square around its center
+ */
+function getMagnifierSource(annotation) {
+    let width = Math.abs(annotation.endX - annotation.startX);
+    let height = Math.abs(annotation.endY - annotation.startY);
+    if (annotation.shape === 'circle') {
+        width = height = Math.max(width, height);
+    }
+    return {
+        x: (annotation.startX + annotation.endX - width) / 2,
+        y: (annotation.startY + annotation.endY - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Get a magnifier's inset rectangle, centered on its position
+ */
+function getMagnifierInset(annotation) {
+    const source = getMagnifierSource(annotation);
+    const width = source.width * annotation.zoom;
+    const height = source.height * annotation.zoom;
+    return { x: annotation.x - width / 2, y: annotation.y - height / 2, width, height };
+}
+
+/**
+ * Choose where a new inset goes: beside the source where it fits, else the canvas center
+ */
+function getMagnifierPlacement(annotation) {
+    const source = getMagnifierSource(annotation);
+    const width = source.width * annotation.zoom;
+    const height = source.height * annotation.zoom;
+    const centerX = source.x + source.width / 2;
+    const centerY = source.y + source.height / 2;
+    const candidates = [
+        { x: source.x + source.width + MAGNIFIER_GAP + width / 2, y: centerY },
+        { x: source.x - MAGNIFIER_GAP - width / 2, y: centerY },
+        { x: centerX, y: source.y + source.height + MAGNIFIER_GAP + height / 2 },
+        { x: centerX, y: source.y - MAGNIFIER_GAP - height / 2 }
+    ];
+    return candidates.find(({ x, y }) =>
+        x - width / 2 >= 0 && x + width / 2 <= state.canvas.width &&
+        y - height / 2 >= 0 && y + height / 2 <= state.canvas.height
+    ) || { x: state.canvas.width / 2, y: state.canvas.height / 2 };
+}
+
+/**
+ * Trace a magnifier's circular or rounded outline around a rectangle
+ */
+function traceMagnifierShape(annotation, rect) {
+    if (annotation.shape === 'circle') {
+        state.ctx.beginPath();
+        state.ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, 2 * Math.PI);
+    } else {
+        traceRoundedRect(rect.x, rect.y, rect.width, rect.height, Math.min(rect.width, rect.height) * 0.15);
+    }
+}
+
+/**
+ * Find where a line from a shape's center in a direction leaves the shape
+ */
+function getMagnifierEdgePoint(annotation, rect, dx, dy) {
+    const halfWidth = rect.width / 2;
+    const halfHeight = rect.height / 2;
+    const length = annotation.shape === 'circle'
+        ? 1 / Math.hypot(dx / halfWidth, dy / halfHeight)
+        : Math.min(halfWidth / Math.abs(dx || 1e-9), halfHeight / Math.abs(dy || 1e-9));
+    return { x: rect.x + halfWidth + dx * length, y: rect.y + halfHeight + dy * length };
+}
+
+/**
+ * Draw a magnifier: source outline, connector and the enlarged inset
+ * The inset copies what is already drawn, so it follows edits to the image and redactions beneath it.
+ * Redactions above it are applied to the copy too, so the inset never shows what they hide.
+ */
+function drawMagnifier(annotation) {
+    const source = getMagnifierSource(annotation);
+    const inset = getMagnifierInset(annotation);
+    if (source.width < 1 || source.height < 1) return;
+    
+    // Copy the source first, since the inset may cover it
+    if (!state.magnifierSource) {
+        state.magnifierSource = document.createElement('canvas');
+    }
+    const copy = state.magnifierSource;
+    copy.width = Math.ceil(source.width);
+    copy.height = Math.ceil(source.height);
+    const copyCtx = copy.getContext('2d', { willReadFrequently: true });
+    copyCtx.drawImage(state.canvas, source.x, source.y, source.width, source.height, 0, 0, copy.width, copy.height);
+    applyLaterRedactions(annotation, source, copyCtx);
+    
+    const ctx = state.ctx;
+    ctx.save();
+    ctx.strokeStyle = annotation.color;
+    ctx.lineWidth = annotation.strokeWidth;
+    ctx.lineCap = 'round';
+    
+    const dx = (inset.x + inset.width / 2) - (source.x + source.width / 2);
+    const dy = (inset.y + inset.height / 2) - (source.y + source.height / 2);
+    const distance = Math.hypot(dx, dy);
+    if (distance > 0) {
+        const from = getMagnifierEdgePoint(annotation, source, dx / distance, dy / distance);
+        const to = getMagnifierEdgePoint(annotation, inset, -dx / distance, -dy / distance);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    }
+    traceMagnifierShape(annotation, source);
+    ctx.stroke();
+    
+    ctx.save();
+    traceMagnifierShape(annotation, inset);
+    ctx.clip();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(copy, inset.x, inset.y, inset.width, inset.height);
+    ctx.restore();
+    traceMagnifierShape(annotation, inset);
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Apply the redactions drawn after a magnifier to its copy of the source region
+ * Those beneath it are already in the copy.
+ */
+function applyLaterRedactions(annotation, source, ctx) {
+    const scaleX = ctx.canvas.width / source.width;
+    const scaleY = ctx.canvas.height / source.height;
+    state.annotations.slice(state.annotations.indexOf(annotation) + 1)
+        .filter(other => other.tool === 'blur' && isAnnotationVisible(other))
+        .forEach(blur => {
+            const bounds = getAnnotationBounds(blur);
+            const left = Math.max(bounds.x, source.x);
+            const top = Math.max(bounds.y, source.y);
+            const right = Math.min(bounds.x + bounds.width, source.x + source.width);
+            const bottom = Math.min(bounds.y + bounds.height, source.y + source.height);
+            if (right <= left || bottom <= top) return;
+            
+            // Round outwards so no sliver at the edge stays readable
+            const x = Math.floor((left - source.x) * scaleX);
+            const y = Math.floor((top - source.y) * scaleY);
+            const width = Math.ceil((right - source.x) * scaleX) - x;
+            const height = Math.ceil((bottom - source.y) * scaleY) - y;
+            const { mode, strength } = getRedactionSettings(blur);
+            applyBlurEffect(x, y, width, height, mode, strength * scaleX, ctx);
+        });
+}
+
+/**
+ * Draw blur preview
+ */
+function drawBlurPreview(x1, y1, x2, y2) {
+    const width = x2 - x1;
+    const height = y2 - y1;
+    state.ctx.fillStyle = 'rgba(150, 150, 150, 0.5)';
+    state.ctx.fillRect(x1, y1, width, height);
+    state.ctx.strokeStyle = '#999999';
+    state.ctx.lineWidth = 2;
+    state.ctx.setLineDash([5, 5]);
+    state.ctx.strokeRect(x1, y1, width, height);
+    state.ctx.setLineDash([]);
+}
+
+/**
+ * Draw crop preview, dimming the area that will be removed
+ */
+function drawCropPreview(x1, y1, x2, y2) {
+    const x = Math.min(x1, x2);
+    const y = Math.min(y1, y2);
+    const width = Math.abs(x2 - x1);
+    const height = Math.abs(y2 - y1);
+    
+    state.ctx.save();
+    state.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    state.ctx.beginPath();
+    state.ctx.rect(0, 0, state.canvas.width, state.canvas.height);
+    state.ctx.rect(x, y, width, height);
+    state.ctx.fill('evenodd');
+    state.ctx.strokeStyle = '#FFFFFF';
+    state.ctx.lineWidth = Math.max(1, getCanvasScale());
+    state.ctx.setLineDash([6, 4].map(length => length * getCanvasScale()));
+    state.ctx.strokeRect(x, y, width, height);
+    state.ctx.restore();
+}
+
+/**
+ * Get redaction style of a blur annotation
+ * Annotations saved before redaction modes existed pixelate by stroke width.
+ */
+function getRedactionSettings(annotation) {
+    if (!annotation.blurMode) {
+        return { mode: 'pixelate', strength: Math.max(8, annotation.strokeWidth * 2) };
+    }
+    return { mode: annotation.blurMode, strength: annotation.blurStrength };
+}
+
+/**
+ * Apply blur effect - Gaussian blur, pixelation or solid redaction
+ */
+function applyBlurEffect(x, y, width, height, mode, strength, ctx = state.ctx) {
+    if (width < 1 || height < 1) return;
+    
+    try {
+        const canvas = ctx.canvas;
+        const safeX = Math.max(0, Math.floor(Math.min(x, canvas.width - 1)));
+        const safeY = Math.max(0, Math.floor(Math.min(y, canvas.height - 1)));
+        const safeWidth = Math.floor(Math.min(width, canvas.width - safeX));
+        const safeHeight = Math.floor(Math.min(height, canvas.height - safeY));
+        
+        if (safeWidth < 1 || safeHeight < 1) return;
+        
+        if (mode === 'redact') {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(safeX, safeY, safeWidth, safeHeight);
+            return;
+        }
+        
+        const imageData = ctx.getImageData(safeX, safeY, safeWidth, safeHeight);
+        if (mode === 'gaussian') {
+            gaussianBlurImageData(imageData, strength);
+        } else {
+            pixelateImageData(imageData, Math.max(2, Math.round(strength)));
+        }
+        ctx.putImageData(imageData, safeX, safeY);
+    } catch (error) {
+        console.error('Blur effect error:', error);
+    }
+}
+
+/**
+ * Pixelate image data in square blocks
+ */
+function pixelateImageData(imageData, pixelSize) {
+    const { width, height, data } = imageData;
+    
+    for (let py = 0; py < height; py += pixelSize) {
+        for (let px = 0; px < width; px += pixelSize) {
+            const pixelIndex = (py * width + px) * 4;
+            const r = data[pixelIndex];
+            const g = data[pixelIndex + 1];
+            const b = data[pixelIndex + 2];
+            const a = data[pixelIndex + 3];
+            
+            for (let blockY = py; blockY < Math.min(py + pixelSize, height); blockY++) {
+                for (let blockX = px; blockX < Math.min(px + pixelSize, width); blockX++) {
+                    const blockIndex = (blockY * width + blockX) * 4;
+                    data[blockIndex] = r;
+                    data[blockIndex + 1] = g;
+                    data[blockIndex + 2] = b;
+                    data[blockIndex + 3] = a;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Gaussian blur image data in place
+ * Three successive box blurs approximate a Gaussian with the given
+ * standard deviation in linear time, independent of the radius.
+ * Only pixels inside the region are sampled, so nothing outside it bleeds in.
+ */
+function gaussianBlurImageData(imageData, sigma) {
+    const { width, height, data } = imageData;
+    let source = Float32Array.from(data);
+    let target = new Float32Array(data.length);
+    
+    getGaussianBoxSizes(sigma, 3).forEach(boxSize => {
+        const radius = (boxSize - 1) / 2;
+        boxBlurPass(source, target, width, height, radius, true);
+        boxBlurPass(target, source, width, height, radius, false);
+    });
+    
+    data.set(source);
+}
+
+/**
+ * Box widths whose successive passes approximate a Gaussian
+ */
+function getGaussianBoxSizes(sigma, passes) {
+    const idealWidth = Math.sqrt((12 * sigma * sigma / passes) + 1);
+    let lowerWidth = Math.floor(idealWidth);
+    if (lowerWidth % 2 === 0) lowerWidth--;
+    const upperWidth = lowerWidth + 2;
+    const idealCount = (12 * sigma * sigma - passes * lowerWidth * lowerWidth - 4 * passes * lowerWidth - 3 * passes) /
+        (-4 * lowerWidth - 4);
+    const lowerCount = Math.round(idealCount);
+    
+    return Array.from({ length: passes }, (_, i) => i < lowerCount ? lowerWidth : upperWidth);
+}
+
+/**
+ * One horizontal or vertical box blur pass with clamped edges
+ */
+function boxBlurPass(source, target, width, height, radius, horizontal) {
+    const lineCount = horizontal ? height : width;
+    const lineLength = horizontal ? width : height;
+    const step = horizontal ? 4 : width * 4;
+    const scale = 1 / (radius * 2 + 1);
+    
+    for (let line = 0; line < lineCount; line++) {
+        const lineStart = horizontal ? line * width * 4 : line * 4;
+        
+        for (let channel = 0; channel < 4; channel++) {
+            const base = lineStart + channel;
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) {
+                sum += source[base + Math.min(Math.max(i, 0), lineLength - 1) * step];
+            }
+            
+            for (let i = 0; i < lineLength; i++) {
+                target[base + i * step] = sum * scale;
+                const addIndex = Math.min(i + radius + 1, lineLength - 1);
+                const removeIndex = Math.max(i - radius, 0);
+                sum += source[base + addIndex * step] - source[base + removeIndex * step];
+            }
+        }
+    }
+}
+
+/**
+ * Redraw canvas - FIXED: Handle blur annotations with restoration
+ */
+function redrawCanvas(showOverlays = true) {
+    state.ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
+    
+    if (state.baseImage) {
+        state.ctx.drawImage(state.baseImage, 0, 0);
+    }
+    
+    scheduleMinimapUpdate();
+    state.annotations.forEach(annotation => {
+        // Text being edited is shown by the inline editor instead
+        if (isAnnotationVisible(annotation) && (!state.textEditor || annotation.id !== state.textEditor.id)) {
+            drawAnnotation(annotation);
+        }
+    });
+    // A first spotlight region being drawn has no annotation to go into yet
+    if (state.spotlightPreview && !getSpotlightTarget()) {
+        drawSpotlight({ ...getNewSpotlightStyle(), regions: [state.spotlightPreview] });
+    }
+    
+    if (showOverlays) {
+        drawOcrRegion();
+        drawRedactionProposals();
+        drawSelectionOverlay();
+    }
+}
+
+/**
+ * Draw a single annotation onto the editor canvas
+ */
+function drawAnnotation(annotation) {
+    if (annotation.tool === 'blur') {
+        // For blur, apply the effect
+        const minX = Math.min(annotation.startX, annotation.endX);
+        const minY = Math.min(annotation.startY, annotation.endY);
+        const width = Math.abs(annotation.endX - annotation.startX);
+        const height = Math.abs(annotation.endY - annotation.startY);
+        const { mode, strength } = getRedactionSettings(annotation);
+        applyBlurEffect(minX, minY, width, height, mode, strength);
+        return;
+    }
+    
+    if (SHAPE_TOOLS.includes(annotation.tool)) {
+        drawShape(annotation);
+        return;
+    }
+    
+    if (annotation.tool === 'spotlight') {
+        drawSpotlight(annotation);
+        return;
+    }
+    
+    if (annotation.tool === 'magnifier') {
+        drawMagnifier(annotation);
+        return;
+    }
+    
+    state.ctx.strokeStyle = annotation.color;
+    state.ctx.fillStyle = annotation.color;
+    state.ctx.lineWidth = annotation.strokeWidth;
+    state.ctx.lineCap = 'round';
+    state.ctx.lineJoin = 'round';
+    
+    switch (annotation.tool) {
+        case 'text':
+            drawText(annotation);
+            break;
+        case 'pen':
+        case 'marker':
+            drawFreehand(annotation);
+            break;
+        case 'step':
+            drawStep(annotation);
+            break;
+        case 'image':
+            drawImageAnnotation(annotation);
+            break;
+    }
+}
+
+/**
+ * Get the decoded image for an image annotation, loading it on first use
+ */
+function getAnnotationImage(annotation) {
+    let img = state.imageCache.get(annotation.src);
+    if (!img) {
+        img = new Image();
+        img.onload = () => redrawCanvas();
+        img.src = annotation.src;
+        state.imageCache.set(annotation.src, img);
+    }
+    return img.complete && img.naturalWidth ? img : null;
+}
+
+/**
+ * Draw an image overlay centered on its position
+ */
+function drawImageAnnotation(annotation) {
+    const img = getAnnotationImage(annotation);
+    if (!img) return;
+    state.ctx.save();
+    state.ctx.translate(annotation.x, annotation.y);
+    state.ctx.rotate((annotation.rotation || 0) * Math.PI / 180);
+    state.ctx.drawImage(img, -annotation.width / 2, -annotation.height / 2, annotation.width, annotation.height);
+    state.ctx.restore();
+}
+
+/**
+ * Convert a point inside an image overlay to canvas pixels
+ * Local points are relative to the overlay's center, before rotation.
+ */
+function imageToCanvasPoint(annotation, localX, localY) {
+    const angle = (annotation.rotation || 0) * Math.PI / 180;
+    return {
+        x: annotation.x + localX * Math.cos(angle) - localY * Math.sin(angle),
+        y: annotation.y + localX * Math.sin(angle) + localY * Math.cos(angle)
+    };
+}
+
+/**
+ * Convert canvas pixels to a point relative to an image overlay's unrotated center
+ */
+function canvasToImagePoint(annotation, x, y) {
+    const angle = -(annotation.rotation || 0) * Math.PI / 180;
+    const dx = x - annotation.x;
+    const dy = y - annotation.y;
+    return {
+        x: dx * Math.cos(angle) - dy * Math.sin(angle),
+        y: dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+}
+
+/**
+ * Get the corners of an image overlay in canvas pixels, clockwise from top left
+ */
+function getImageCorners(annotation) {
+    const halfWidth = annotation.width / 2;
+    const halfHeight = annotation.height / 2;
+    return [
+        imageToCanvasPoint(annotation, -halfWidth, -halfHeight),
+        imageToCanvasPoint(annotation, halfWidth, -halfHeight),
+        imageToCanvasPoint(annotation, halfWidth, halfHeight),
+        imageToCanvasPoint(annotation, -halfWidth, halfHeight)
+    ];
+}
+
+/**
+ * Check whether an annotation is shown, and at the current clip time
+ */
+function isAnnotationVisible(annotation) {
+    if (annotation.hidden) return false;
+    if (!state.clip || !annotation.timeRange) return true;
+    const [start, end] = annotation.timeRange;
+    return state.clip.time >= start && state.clip.time <= end;
+}
+
+/**
+ * Get annotation by id
+ */
+function getAnnotationById(id) {
+    return state.annotations.find(annotation => annotation.id === id) || null;
+}
+
+/**
+ * Get currently selected annotation
+ */
+function getSelectedAnnotation() {
+    return state.selectedId === null ? null : getAnnotationById(state.selectedId);
+}
+
+/**
+ * Get annotation bounding box in canvas pixels
+ */
+function getAnnotationBounds(annotation) {
+    if (annotation.tool === 'text') {
+        const style = getTextStyle(annotation);
+        const layout = layoutText(annotation);
+        const padding = style.background === 'fill' ? style.fontSize * TEXT_BOX_PADDING : 0;
+        return {
+            x: annotation.x - padding,
+            y: annotation.y - style.fontSize - padding,
+            width: layout.width + padding * 2,
+            height: (layout.lines.length - 1) * layout.lineHeight + style.fontSize * 1.2 + padding * 2
+        };
+    }
+    
+    if (FREEHAND_TOOLS.includes(annotation.tool)) {
+        const xs = annotation.points.map(point => point[0]);
+        const ys = annotation.points.map(point => point[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    
+    if (annotation.tool === 'magnifier') {
+        const source = getMagnifierSource(annotation);
+        const inset = getMagnifierInset(annotation);
+        const x = Math.min(source.x, inset.x);
+        const y = Math.min(source.y, inset.y);
+        return {
+            x,
+            y,
+            width: Math.max(source.x + source.width, inset.x + inset.width) - x,
+            height: Math.max(source.y + source.height, inset.y + inset.height) - y
+        };
+    }
+    
+    if (annotation.tool === 'spotlight') {
+        const rects = annotation.regions.map(getRegionRect);
+        const x = Math.min(...rects.map(rect => rect.x));
+        const y = Math.min(...rects.map(rect => rect.y));
+        return {
+            x,
+            y,
+            width: Math.max(...rects.map(rect => rect.x + rect.width)) - x,
+            height: Math.max(...rects.map(rect => rect.y + rect.height)) - y
+        };
+    }
+    
+    if (annotation.tool === 'image') {
+        const corners = getImageCorners(annotation);
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    
+    if (annotation.tool === 'step') {
+        const radius = getStepRadius(annotation);
+        const hasLeader = annotation.targetX !== undefined;
+        const minX = Math.min(annotation.x - radius, hasLeader ? annotation.targetX : Infinity);
+        const minY = Math.min(annotation.y - radius, hasLeader ? annotation.targetY : Infinity);
+        const maxX = Math.max(annotation.x + radius, hasLeader ? annotation.targetX : -Infinity);
+        const maxY = Math.max(annotation.y + radius, hasLeader ? annotation.targetY : -Infinity);
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+    
+    if (annotation.tool === 'arrow' && annotation.curve) {
+        const points = getArrowPoints(annotation);
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    
+    if (annotation.tool === 'circle') {
+        const radius = Math.hypot(annotation.endX - annotation.startX, annotation.endY - annotation.startY);
+        return {
+            x: annotation.startX - radius,
+            y: annotation.startY - radius,
+            width: radius * 2,
+            height: radius * 2
+        };
+    }
+    
+    return {
+        x: Math.min(annotation.startX, annotation.endX),
+        y: Math.min(annotation.startY, annotation.endY),
+        width: Math.abs(annotation.endX - annotation.startX),
+        height: Math.abs(annotation.endY - annotation.startY)
+    };
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/**
+ * Check whether a point lies inside a box grown by a margin
+ */
+function isPointInBounds(x, y, bounds, margin = 0) {
+    return x >= bounds.x - margin && x <= bounds.x + bounds.width + margin &&
+        y >= bounds.y - margin && y <= bounds.y + bounds.height + margin;
+}
+
+/**
+ * Hit-test a single annotation
+ */
+function hitTestAnnotation(annotation, x, y, tolerance) {
+    const reach = tolerance + (annotation.strokeWidth || 0) / 2;
+    
+    switch (annotation.tool) {
+        case 'arrow': {
+            const points = getArrowPoints(annotation);
+            return points.slice(1).some((point, i) =>
+                distanceToSegment(x, y, points[i][0], points[i][1], point[0], point[1]) <= reach
+            );
+        }
+        case 'rect': {
+            // Filled shapes can be grabbed anywhere inside
+            const bounds = getAnnotationBounds(annotation);
+            return isPointInBounds(x, y, bounds, reach) &&
+                (annotation.fill || !isPointInBounds(x, y, bounds, -reach));
+        }
+        case 'circle': {
+            const radius = Math.hypot(annotation.endX - annotation.startX, annotation.endY - annotation.startY);
+            const distance = Math.hypot(x - annotation.startX, y - annotation.startY);
+            return annotation.fill ? distance <= radius + reach : Math.abs(distance - radius) <= reach;
+        }
+        case 'step': {
+            const onBadge = Math.hypot(x - annotation.x, y - annotation.y) <= getStepRadius(annotation) + tolerance;
+            const onLeader = annotation.targetX !== undefined &&
+                distanceToSegment(x, y, annotation.x, annotation.y, annotation.targetX, annotation.targetY) <= reach;
+            return onBadge || onLeader;
+        }
+        case 'magnifier': {
+            // The inset is solid; the source only by its outline, so what it covers stays clickable
+            const source = getMagnifierSource(annotation);
+            return isPointInBounds(x, y, getMagnifierInset(annotation), reach) ||
+                (isPointInBounds(x, y, source, reach) && !isPointInBounds(x, y, source, -reach));
+        }
+        case 'spotlight':
+            // Only the region outlines are grabbable, so what is in the light stays clickable
+            return annotation.regions.some(region => {
+                const rect = getRegionRect(region);
+                if (region.shape !== 'ellipse') {
+                    return isPointInBounds(x, y, rect, reach) && !isPointInBounds(x, y, rect, -reach);
+                }
+                const radiusX = rect.width / 2;
+                const radiusY = rect.height / 2;
+                const distance = Math.hypot((x - rect.x - radiusX) / radiusX, (y - rect.y - radiusY) / radiusY);
+                return Math.abs(distance - 1) * Math.min(radiusX, radiusY) <= reach;
+            });
+        case 'image': {
+            const local = canvasToImagePoint(annotation, x, y);
+            return Math.abs(local.x) <= annotation.width / 2 + tolerance &&
+                Math.abs(local.y) <= annotation.height / 2 + tolerance;
+        }
+        case 'pen':
+        case 'marker': {
+            const points = annotation.points;
+            const pathReach = tolerance + getFreehandStyle(annotation).width / 2;
+            if (points.length === 1) {
+                return Math.hypot(x - points[0][0], y - points[0][1]) <= pathReach;
+            }
+            return points.slice(1).some((point, i) =>
+                distanceToSegment(x, y, points[i][0], points[i][1], point[0], point[1]) <= pathReach
+            );
+        }
+        default:
+            return isPointInBounds(x, y, getAnnotationBounds(annotation), tolerance);
+    }
+}
+
+/**
+ * Find the topmost annotation under a point
+ * Locked annotations are skipped so clicks reach whatever is beneath them.
+ */
+function findAnnotationAt(x, y) {
+    const tolerance = HIT_TOLERANCE * getCanvasScale();
+    for (let i = state.annotations.length - 1; i >= 0; i--) {
+        const annotation = state.annotations[i];
+        if (isAnnotationVisible(annotation) && !annotation.locked && hitTestAnnotation(annotation, x, y, tolerance)) {
+            return annotation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether the selected annotation can be moved or resized on the canvas
+ */
+function isAnnotationEditable(annotation) {
+    return isAnnotationVisible(annotation) && !annotation.locked;
+}
+
+/**
+ * Get resize handles and endpoint grips for an annotation
+ * Each handle names the coordinate keys it drags, or applies its own resize.
+ */
+function getAnnotationHandles(annotation) {
+    switch (annotation.tool) {
+        case 'arrow': {
+            // The middle handle bends the arrow; the curve passes halfway to its control point
+            const control = getArrowControlPoint(annotation);
+            const midX = (annotation.startX + annotation.endX) / 2;
+            const midY = (annotation.startY + annotation.endY) / 2;
+            return [
+                { x: annotation.startX, y: annotation.startY, keys: ['startX', 'startY'] },
+                { x: annotation.endX, y: annotation.endY, keys: ['endX', 'endY'] },
+                {
+                    x: control ? (midX + control.x) / 2 : midX,
+                    y: control ? (midY + control.y) / 2 : midY,
+                    apply: (target, pos) => {
+                        const midX = (target.startX + target.endX) / 2;
+                        const midY = (target.startY + target.endY) / 2;
+                        target.curve = getArrowCurve(target, midX + (pos.x - midX) * 2, midY + (pos.y - midY) * 2);
+                    }
+                }
+            ];
+        }
+        case 'circle':
+            return [
+                { x: annotation.endX, y: annotation.endY, keys: ['endX', 'endY'] }
+            ];
+        case 'text':
+            return annotation.maxWidth === undefined ? [] : [{
+                x: annotation.x + annotation.maxWidth,
+                y: annotation.y - annotation.fontSize / 2,
+                apply: (target, pos) => {
+                    target.maxWidth = Math.max(target.fontSize * 2, pos.x - target.x);
+                }
+            }];
+        case 'step':
+            return annotation.targetX === undefined ? [] : [
+                { x: annotation.targetX, y: annotation.targetY, keys: ['targetX', 'targetY'] }
+            ];
+        case 'image': {
+            // Corners scale the overlay about its center, keeping its aspect ratio
+            const resize = (target, pos) => {
+                const local = canvasToImagePoint(target, pos.x, pos.y);
+                const factor = Math.max(
+                    Math.abs(local.x) / (target.width / 2),
+                    Math.abs(local.y) / (target.height / 2)
+                );
+                const minFactor = 8 / Math.min(target.width, target.height);
+                target.width *= Math.max(factor, minFactor);
+                target.height *= Math.max(factor, minFactor);
+            };
+            // The round grip above the top edge turns the overlay, snapping near multiples of ROTATION_SNAP
+            const rotate = (target, pos) => {
+                const angle = Math.atan2(pos.y - target.y, pos.x - target.x) * 180 / Math.PI + 90;
+                const snapped = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+                const rotation = Math.abs(angle - snapped) <= ROTATION_SNAP_RANGE ? snapped : Math.round(angle);
+                target.rotation = ((rotation + 540) % 360) - 180;
+            };
+            const grip = imageToCanvasPoint(annotation, 0, -annotation.height / 2 - ROTATE_HANDLE_OFFSET * getCanvasScale());
+            return [
+                ...getImageCorners(annotation).map(({ x, y }) => ({ x, y, apply: resize })),
+                { x: grip.x, y: grip.y, apply: rotate, round: true }
+            ];
+        }
+        case 'magnifier': {
+            // Dragging the magnifier moves its inset; the source has its own grips
+            const source = getMagnifierSource(annotation);
+            const inset = getMagnifierInset(annotation);
+            return [
+                { x: annotation.startX, y: annotation.startY, keys: ['startX', 'startY'] },
+                { x: annotation.endX, y: annotation.endY, keys: ['endX', 'endY'] },
+                {
+                    x: source.x + source.width / 2,
+                    y: source.y + source.height / 2,
+                    apply: (target, pos) => {
+                        const current = getMagnifierSource(target);
+                        const dx = pos.x - current.x - current.width / 2;
+                        const dy = pos.y - current.y - current.height / 2;
+                        target.startX += dx;
+                        target.startY += dy;
+                        target.endX += dx;
+                        target.endY += dy;
+                    }
+                },
+                {
+                    x: inset.x + inset.width,
+                    y: inset.y + inset.height,
+                    apply: (target, pos) => {
+                        const current = getMagnifierSource(target);
+                        const zoom = Math.max(
+                            Math.abs(pos.x - target.x) * 2 / current.width,
+                            Math.abs(pos.y - target.y) * 2 / current.height
+                        );
+                        target.zoom = Math.round(Math.min(MAGNIFIER_MAX_ZOOM, Math.max(1, zoom)) * 10) / 10;
+                    }
+                }
+            ];
+        }
+        case 'spotlight':
+            return annotation.regions.flatMap((region, i) => [
+                ['startX', 'startY'],
+                ['endX', 'startY'],
+                ['startX', 'endY'],
+                ['endX', 'endY']
+            ].map(([keyX, keyY]) => ({
+                x: region[keyX],
+                y: region[keyY],
+                apply: (target, pos) => {
+                    target.regions[i][keyX] = pos.x;
+                    target.regions[i][keyY] = pos.y;
+                }
+            })));
+        case 'rect':
+        case 'highlight':
+        case 'blur':
+            return [
+                { x: annotation.startX, y: annotation.startY, keys: ['startX', 'startY'] },
+                { x: annotation.endX, y: annotation.startY, keys: ['endX', 'startY'] },
+                { x: annotation.startX, y: annotation.endY, keys: ['startX', 'endY'] },
+                { x: annotation.endX, y: annotation.endY, keys: ['endX', 'endY'] }
+            ];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Find the handle of an annotation under a point
+ */
+function findHandleAt(annotation, x, y) {
+    const reach = HANDLE_SIZE * getCanvasScale();
+    return getAnnotationHandles(annotation).find(handle =>
+        Math.abs(handle.x - x) <= reach && Math.abs(handle.y - y) <= reach
+    ) || null;
+}
+
+/**
+ * Move annotation by an offset
+ */
+function moveAnnotation(annotation, dx, dy) {
+    if (annotation.points) {
+        annotation.points.forEach(point => {
+            point[0] += dx;
+            point[1] += dy;
+        });
+        return;
+    }
+    if (annotation.tool === 'magnifier') {
+        annotation.x += dx;
+        annotation.y += dy;
+        return;
+    }
+    if (annotation.regions) {
+        annotation.regions.forEach(region => {
+            region.startX += dx;
+            region.startY += dy;
+            region.endX += dx;
+            region.endY += dy;
+        });
+        return;
+    }
+    if (annotation.tool === 'text' || annotation.tool === 'step' || annotation.tool === 'image') {
+        annotation.x += dx;
+        annotation.y += dy;
+        if (annotation.targetX !== undefined) {
+            annotation.targetX += dx;
+            annotation.targetY += dy;
+        }
+        return;
+    }
+    annotation.startX += dx;
+    annotation.startY += dy;
+    annotation.endX += dx;
+    annotation.endY += dy;
+}
+
+/**
+ * Start moving or resizing with the select tool
+ */
+function startSelectionDrag(pos) {
+    const selected = getSelectedAnnotation();
+    const handle = selected && isAnnotationEditable(selected) ? findHandleAt(selected, pos.x, pos.y) : null;
+    
+    if (handle) {
+        state.selectionDrag = { handle, lastX: pos.x, lastY: pos.y, before: cloneAnnotation(selected) };
+        return;
+    }
+    
+    const hit = findAnnotationAt(pos.x, pos.y);
+    state.selectedId = hit ? hit.id : null;
+    state.selectionDrag = hit
+        ? { handle: null, lastX: pos.x, lastY: pos.y, before: cloneAnnotation(hit) }
+        : null;
+    if (hit) {
+        syncStyleControls(hit);
+    }
+    updateToolOptions();
+    redrawCanvas();
+}
+
+/**
+ * Drag the selection, or update the hover cursor when idle
+ */
+function dragSelection(pos) {
+    const drag = state.selectionDrag;
+    const selected = getSelectedAnnotation();
+    
+    if (!state.isDrawing || !drag || !selected) {
+        if (selected && isAnnotationEditable(selected) && findHandleAt(selected, pos.x, pos.y)) {
+            state.canvas.style.cursor = 'crosshair';
+        } else {
+            state.canvas.style.cursor = findAnnotationAt(pos.x, pos.y) ? 'move' : 'default';
+        }
+        return;
+    }
+    
+    if (drag.handle && drag.handle.apply) {
+        drag.handle.apply(selected, pos);
+    } else if (drag.handle) {
+        selected[drag.handle.keys[0]] = pos.x;
+        selected[drag.handle.keys[1]] = pos.y;
+    } else {
+        moveAnnotation(selected, pos.x - drag.lastX, pos.y - drag.lastY);
+    }
+    drag.lastX = pos.x;
+    drag.lastY = pos.y;
+    redrawCanvas();
+}
+
+/**
+ * Record a finished move or resize in history
+ */
+function finishSelectionDrag() {
+    const drag = state.selectionDrag;
+    const selected = getSelectedAnnotation();
+    state.selectionDrag = null;
+    
+    if (drag && selected && !isSameAnnotation(drag.before, selected)) {
+        recordCommand({ type: 'update', before: drag.before, after: cloneAnnotation(selected) });
+    }
+}
+
+/**
+ * Reflect the selected annotation's style in the toolbar
+ */
+function syncStyleControls(annotation) {
+    if (annotation.color) {
+        state.currentColor = annotation.color;
+        elements.colorPicker.value = annotation.color;
+    }
+    
+    if (annotation.strokeWidth) {
+        state.strokeWidth = annotation.strokeWidth;
+        elements.strokeWidth.value = annotation.strokeWidth;
+    }
+    
+    if (annotation.tool === 'text') {
+        state.textStyle = getTextStyle(annotation);
+        syncTextControls();
+    }
+    
+    if (annotation.tool === 'magnifier') {
+        MAGNIFIER_STYLE_KEYS.forEach(key => {
+            state.magnifierStyle[key] = annotation[key];
+        });
+        elements.magnifierZoom.value = annotation.zoom;
+        elements.magnifierShape.value = annotation.shape;
+    }
+    
+    if (annotation.tool === 'spotlight') {
+        SPOTLIGHT_STYLE_KEYS.forEach(key => {
+            state.spotlightStyle[key] = annotation[key];
+        });
+        syncSpotlightControls();
+    }
+    
+    if (SHAPE_TOOLS.includes(annotation.tool)) {
+        const style = getShapeStyle(annotation);
+        SHAPE_STYLE_OPTIONS[annotation.tool].forEach(key => {
+            state.shapeStyle[key] = style[key];
+        });
+        syncShapeControls();
+    }
+    
+    if (annotation.tool === 'blur') {
+        const { mode, strength } = getRedactionSettings(annotation);
+        state.blurMode = mode;
+        state.blurStrength = strength;
+        elements.blurMode.value = mode;
+        elements.blurStrength.value = strength;
+    }
+}
+
+/**
+ * Apply a shape style change to new shapes and the selected one
+ */
+function applyShapeStyle(changes) {
+    Object.assign(state.shapeStyle, changes);
+    syncShapeControls();
+    restyleSelection(changes);
+}
+
+/**
+ * Reflect the current shape style in the shape controls
+ */
+function syncShapeControls() {
+    const style = state.shapeStyle;
+    [
+        [elements.shapeFillBtn, style.fill],
+        [elements.shapeCurveBtn, style.curve !== 0],
+        [elements.shapeShadowBtn, style.shadow]
+    ].forEach(([button, isActive]) => {
+        button.classList.toggle('tool-btn--active', isActive);
+        button.setAttribute('aria-pressed', isActive);
+    });
+    elements.shapeFillColor.value = style.fillColor;
+    elements.shapeFillColor.disabled = !style.fill;
+    elements.shapeLineStyle.value = style.lineStyle;
+    elements.shapeOpacity.value = Math.round(style.opacity * 100);
+    elements.shapeArrowhead.value = style.arrowhead;
+    elements.shapeCornerRadius.value = style.cornerRadius;
+}
+
+/**
+ * Apply a style change to the open text editor, or else the selection
+ */
+function applyStyleChange(changes) {
+    TEXT_STYLE_KEYS.forEach(key => {
+        if (changes[key] !== undefined) {
+            state.textStyle[key] = changes[key];
+        }
+    });
+    syncTextControls();
+    
+    if (state.textEditor) {
+        Object.assign(state.textEditor.style, changes);
+        styleTextEditor();
+        elements.textEditor.focus();
+    } else {
+        restyleSelection(changes);
+    }
+}
+
+/**
+ * Reflect the current text style in the text controls
+ */
+function syncTextControls() {
+    elements.textFontFamily.value = state.textStyle.fontFamily;
+    elements.textFontSize.value = state.textStyle.fontSize;
+    elements.textBackground.value = state.textStyle.background;
+    const isBold = state.textStyle.fontWeight === 'bold';
+    elements.textBoldBtn.classList.toggle('tool-btn--active', isBold);
+    elements.textBoldBtn.setAttribute('aria-pressed', isBold);
+}
+
+/**
+ * Apply color or stroke width to the selected annotation
+ */
+function restyleSelection(changes) {
+    const selected = getSelectedAnnotation();
+    if (!selected || selected.locked) return;
+    
+    if (!state.pendingRestyle) {
+        state.pendingRestyle = cloneAnnotation(selected);
+    }
+    if (changes.color && selected.color) {
+        selected.color = changes.color;
+    }
+    if (changes.strokeWidth && selected.tool !== 'text') {
+        selected.strokeWidth = changes.strokeWidth;
+    }
+    if (selected.tool === 'text') {
+        TEXT_STYLE_KEYS.forEach(key => {
+            if (changes[key] !== undefined) {
+                selected[key] = changes[key];
+            }
+        });
+    }
+    if (SHAPE_TOOLS.includes(selected.tool)) {
+        SHAPE_STYLE_OPTIONS[selected.tool].forEach(key => {
+            if (changes[key] !== undefined) {
+                selected[key] = changes[key];
+            }
+        });
+    }
+    if (selected.tool === 'magnifier') {
+        MAGNIFIER_STYLE_KEYS.forEach(key => {
+            if (changes[key] !== undefined) {
+                selected[key] = changes[key];
+            }
+        });
+    }
+    if (selected.tool === 'spotlight') {
+        SPOTLIGHT_STYLE_KEYS.forEach(key => {
+            if (changes[key] !== undefined) {
+                selected[key] = changes[key];
+            }
+        });
+    }
+    if (selected.tool === 'blur' && (changes.blurMode || changes.blurStrength)) {
+        const { mode, strength } = getRedactionSettings(selected);
+        selected.blurMode = changes.blurMode || mode;
+        selected.blurStrength = changes.blurStrength || strength;
+    }
+    redrawCanvas();
+}
+
+/**
+ * Record a finished color or stroke width change in history
+ */
+function commitRestyle() {
+    const before = state.pendingRestyle;
+    state.pendingRestyle = null;
+    if (!before) return;
+    
+    const current = getAnnotationById(before.id);
+    if (current && !isSameAnnotation(before, current)) {
+        recordCommand({ type: 'update', before, after: cloneAnnotation(current) });
+    }
+}
+
+/**
+ * Delete the selected annotation
+ */
+function deleteSelectedAnnotation() {
+    const selected = getSelectedAnnotation();
+    if (!selected) return;
+    if (selected.locked) {
+        showNotification('🔒 Unlock this annotation before deleting it', 'info');
+        return;
+    }
+    deleteAnnotation(selected);
+}
+
+/**
+ * Delete an annotation through history
+ */
+function deleteAnnotation(annotation) {
+    executeCommand({
+        type: 'delete',
+        annotation: cloneAnnotation(annotation),
+        index: state.annotations.indexOf(annotation)
+    });
+    showNotification('🗑️ Annotation deleted', 'info');
+}
+
+/**
+ * Show or hide the layers panel
+ */
+function toggleLayersPanel() {
+    const isOpen = elements.layersPanel.classList.contains('side-panel--hidden');
+    elements.layersBtn.setAttribute('aria-pressed', isOpen);
+    if (isOpen) {
+        showSidePanel(elements.layersPanel);
+        renderLayers();
+    } else {
+        hideSidePanel(elements.layersPanel);
+    }
+}
+
+/**
+ * Default layer name, from the text or step number where there is one
+ */
+function getLayerLabel(annotation) {
+    if (annotation.tool === 'text' && annotation.text.trim()) {
+        return annotation.text.trim().split('\n')[0];
+    }
+    if (annotation.tool === 'step') {
+        return `Step ${getStepNumber(annotation)}`;
+    }
+    return LAYER_TYPES[annotation.tool].name;
+}
+
+/**
+ * List annotations topmost first, in sync with the canvas selection
+ */
+function renderLayers() {
+    if (elements.layersPanel.classList.contains('side-panel--hidden')) return;
+    
+    const count = state.annotations.length;
+    elements.layersStatus.textContent = count
+        ? `${count} annotation${count === 1 ? '' : 's'}; drag to change which is on top`
+        : 'Annotations you draw will be listed here.';
+    elements.layerList.replaceChildren(...[...state.annotations].reverse().map(createLayerItem));
+}
+
+/**
+ * Build the list entry for one annotation
+ */
+function createLayerItem(annotation) {
+    const isSelected = annotation.id === state.selectedId;
+    const item = document.createElement('li');
+    item.className = 'layer-list__item';
+    item.classList.toggle('layer-list__item--selected', isSelected);
+    item.classList.toggle('layer-list__item--hidden', !!annotation.hidden);
+    item.draggable = true;
+    item.dataset.id = annotation.id;
+    item.title = annotation.comment || '';
+    item.addEventListener('click', (e) => {
+        if (!e.target.closest('input, textarea, button')) {
+            selectLayer(annotation.id);
+        }
+    });
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(annotation.id));
+        state.layerDragId = annotation.id;
+    });
+    item.addEventListener('dragover', (e) => {
+        if (state.layerDragId === null || state.layerDragId === annotation.id) return;
+        e.preventDefault();
+        setLayerDropMarker(item, isLayerDropAbove(item, e));
+    });
+    item.addEventListener('dragleave', () => setLayerDropMarker(item, null));
+    item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        setLayerDropMarker(item, null);
+        reorderLayer(state.layerDragId, annotation.id, isLayerDropAbove(item, e));
+    });
+    item.addEventListener('dragend', () => {
+        state.layerDragId = null;
+    });
+    
+    const row = document.createElement('div');
+    row.className = 'layer-list__row';
+    const icon = document.createElement('span');
+    icon.className = 'layer-list__icon';
+    icon.textContent = LAYER_TYPES[annotation.tool].icon;
+    icon.setAttribute('aria-hidden', 'true');
+    
+    const name = document.createElement('input');
+    name.className = 'layer-list__name';
+    name.value = annotation.name || '';
+    name.placeholder = getLayerLabel(annotation);
+    name.setAttribute('aria-label', 'Layer name');
+    name.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            name.blur();
+        }
+    });
+    name.addEventListener('change', () => updateLayer(annotation.id, { name: name.value.trim() }, 'Rename annotation'));
+    
+    const visibility = createLayerButton(
+        annotation.hidden ? '🚫' : '👁️',
+        annotation.hidden ? 'Show' : 'Hide',
+        () => updateLayer(annotation.id, { hidden: !annotation.hidden }, annotation.hidden ? 'Show annotation' : 'Hide annotation')
+    );
+    const lock = createLayerButton(
+        annotation.locked ? '🔒' : '🔓',
+        annotation.locked ? 'Unlock' : 'Lock',
+        () => updateLayer(annotation.id, { locked: !annotation.locked }, annotation.locked ? 'Unlock annotation' : 'Lock annotation')
+    );
+    const remove = createLayerButton('🗑️', 'Delete', () => deleteAnnotation(getAnnotationById(annotation.id)));
+    remove.disabled = !!annotation.locked;
+    
+    row.append(icon, name, visibility, lock, remove);
+    item.append(row);
+    
+    // The selected layer shows its comment for editing
+    if (isSelected) {
+        const comment = document.createElement('textarea');
+        comment.className = 'side-panel__textarea layer-list__comment';
+        comment.rows = 2;
+        comment.value = annotation.comment || '';
+        comment.placeholder = 'Add a comment';
+        comment.setAttribute('aria-label', 'Layer comment');
+        comment.addEventListener('change', () => updateLayer(annotation.id, { comment: comment.value.trim() }, 'Edit comment'));
+        item.append(comment);
+    }
+    return item;
+}
+
+/**
+ * Create a small icon button for a layer entry
+ */
+function createLayerButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn--text layer-list__btn';
+    button.textContent = icon;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Whether a drop lands in the upper half of a layer entry
+ */
+function isLayerDropAbove(item, event) {
+    const rect = item.getBoundingClientRect();
+    return event.clientY < rect.top + rect.height / 2;
+}
+
+/**
+ * Mark where a dragged layer would be dropped, or clear the mark
+ */
+function setLayerDropMarker(item, isAbove) {
+    item.classList.toggle('layer-list__item--drop-above', isAbove === true);
+    item.classList.toggle('layer-list__item--drop-below', isAbove === false);
+}
+
+/**
+ * Select an annotation from its layer entry
+ */
+function selectLayer(id) {
+    const annotation = getAnnotationById(id);
+    if (!annotation) return;
+    
+    commitRestyle();
+    selectTool('select');
+    state.selectedId = id;
+    syncStyleControls(annotation);
+    updateToolOptions();
+    redrawCanvas();
+}
+
+/**
+ * Change layer properties through history; empty values are removed
+ */
+function updateLayer(id, changes, label) {
+    const annotation = getAnnotationById(id);
+    if (!annotation) return;
+    
+    const after = cloneAnnotation(annotation);
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value) {
+            after[key] = value;
+        } else {
+            delete after[key];
+        }
+    });
+    if (isSameAnnotation(annotation, after)) return;
+    
+    executeCommand({ type: 'update', before: cloneAnnotation(annotation), after, label });
+}
+
+/**
+ * Move a dragged layer just above or below another one
+ * The list shows the topmost annotation first, so above means later in drawing order.
+ */
+function reorderLayer(id, targetId, isAbove) {
+    const from = state.annotations.findIndex(annotation => annotation.id === id);
+    if (from === -1 || id === targetId) return;
+    
+    const remaining = state.annotations.filter(annotation => annotation.id !== id);
+    const targetIndex = remaining.findIndex(annotation => annotation.id === targetId);
+    const to = isAbove ? targetIndex + 1 : targetIndex;
+    if (targetIndex === -1 || to === from) return;
+    
+    executeCommand({ type: 'reorder', from, to });
+}
+
+/**
+ * Load a script from this site once
+ */
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Check whether an offline text recognizer can load here
+ * The bundled Tesseract build is looked up on the server, since a deployment may leave vendor/ out.
+ */
+async function isOcrAvailable() {
+    if ('TextDetector' in window) return true;
+    try {
+        const response = await fetch(`${OCR_ENGINE_PATH}tesseract.min.js`, { method: 'HEAD' });
+        return response.ok;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Show the text recognition tools only when a recognizer can load
+ */
+async function updateOcrTools() {
+    const available = await isOcrAvailable();
+    elements.ocrTools.classList.toggle('toolbar__group--hidden', !available);
+    elements.ocrToolsDivider.classList.toggle('toolbar__divider--hidden', !available);
+}
+
+/**
+ * Get the offline text recognizer, starting it on first use
+ */
+function getOcrEngine() {
+    if (!state.ocrEngine) {
+        state.ocrEngine = createOcrEngine().catch(error => {
+            state.ocrEngine = null;
+            throw error;
+        });
+    }
+    return state.ocrEngine;
+}
+
+/**
+ * Use the browser's TextDetector where available, otherwise the bundled Tesseract build
+ * Both run locally; recognized lines come back as words with pixel boxes.
+ */
+async function createOcrEngine() {
+    if ('TextDetector' in window) {
+        const detector = new window.TextDetector();
+        return {
+            recognize: async (canvas) => (await detector.detect(canvas))
+                .map(block => splitOcrLine(block.rawValue, block.boundingBox))
+        };
+    }
+    
+    if (!window.Tesseract) {
+        await loadScript(`${OCR_ENGINE_PATH}tesseract.min.js`).catch(() => {
+            throw new Error('No offline text recognition engine is installed');
+        });
+    }
+    const worker = await window.Tesseract.createWorker(OCR_LANGUAGE, 1, {
+        workerPath: `${OCR_ENGINE_PATH}worker.min.js`,
+        corePath: `${OCR_ENGINE_PATH}core/`,
+        langPath: `${OCR_ENGINE_PATH}lang/`
+    });
+    return {
+        recognize: async (canvas) => {
+            const { data } = await worker.recognize(canvas);
+            return data.lines.map(line => ({
+                words: line.words.map(word => ({
+                    text: word.text,
+                    x: word.bbox.x0,
+                    y: word.bbox.y0,
+                    width: word.bbox.x1 - word.bbox.x0,
+                    height: word.bbox.y1 - word.bbox.y0
+                }))
+            }));
+        }
+    };
+}
+
+/**
+ * Split a detected line into words, sharing its box out by character count
+ */
+function splitOcrLine(text, box) {
+    const words = [];
+    let offset = 0;
+    text.split(/(\s+)/).forEach(part => {
+        if (part.trim()) {
+            words.push({
+                text: part,
+                x: box.x + box.width * offset / text.length,
+                y: box.y,
+                width: box.width * part.length / text.length,
+                height: box.height
+            });
+        }
+        offset += part.length;
+    });
+    return { words };
+}
+
+/**
+ * Recognize text in a region of an image, in image coordinates
+ * Reads the base image unless given a rendering of the annotated canvas.
+ */
+async function recognizeText(region, source = state.baseImage) {
+    const engine = await getOcrEngine();
+    
+    // Short regions are enlarged, which reads small UI text far better
+    const scale = Math.min(4, Math.max(1, OCR_MIN_HEIGHT / region.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(region.width * scale);
+    canvas.height = Math.round(region.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+    
+    const lines = await engine.recognize(canvas);
+    return lines.map(line => ({
+        words: line.words.map(word => ({
+            text: word.text,
+            x: region.x + word.x / scale,
+            y: region.y + word.y / scale,
+            width: word.width / scale,
+            height: word.height / scale
+        }))
+    }));
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ */
+function passesLuhnCheck(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors plus the user's own patterns, which are checked first
+ */
+function getSensitivePatterns() {
+    const custom = [];
+    const invalid = [];
+    elements.redactionPatterns.value.split('\n').map(line => line.trim()).filter(Boolean).forEach(source => {
+        try {
+            custom.push({ label: 'Custom pattern', regex: new RegExp(source, 'gi') });
+        } catch (error) {
+            invalid.push(source);
+        }
+    });
+    return { patterns: [...custom, ...SENSITIVE_PATTERNS], invalid };
+}
+
+/**
+ * Run the detectors over recognized lines and box each match
+ */
+function findSensitiveData(lines, patterns) {
+    const findings = [];
+    lines.forEach(line => {
+        // Words are joined with single spaces; remember where each one starts
+        let text = '';
+        const offsets = line.words.map(word => {
+            const start = text.length;
+            text += `${word.text} `;
+            return start;
+        });
+        
+        const claimed = [];
+        patterns.forEach(({ label, regex, validate }) => {
+            for (const match of text.matchAll(regex)) {
+                const start = match.index;
+                const end = start + match[0].trimEnd().length;
+                if (end <= start || (validate && !validate(match[0]))) continue;
+                if (claimed.some(([a, b]) => start < b && end > a)) continue;
+                
+                const bounds = getTextRangeBounds(line.words, offsets, start, end);
+                if (bounds) {
+                    claimed.push([start, end]);
+                    findings.push({ label, text: match[0].trim(), ...bounds, accepted: true });
+                }
+            }
+        });
+    });
+    return findings;
+}
+
+/**
+ * Get the padded box covering a character range of a recognized line
+ */
+function getTextRangeBounds(words, offsets, start, end) {
+    let bounds = null;
+    words.forEach((word, i) => {
+        const wordEnd = offsets[i] + word.text.length;
+        if (offsets[i] >= end || wordEnd <= start) return;
+        
+        // Only part of a word may match, e.g. "token=abc123"
+        const from = (Math.max(start, offsets[i]) - offsets[i]) / word.text.length;
+        const to = (Math.min(end, wordEnd) - offsets[i]) / word.text.length;
+        const x1 = word.x + word.width * from;
+        const x2 = word.x + word.width * to;
+        bounds = bounds ? {
+            x1: Math.min(bounds.x1, x1),
+            y1: Math.min(bounds.y1, word.y),
+            x2: Math.max(bounds.x2, x2),
+            y2: Math.max(bounds.y2, word.y + word.height)
+        } : { x1, y1: word.y, x2, y2: word.y + word.height };
+    });
+    if (!bounds) return null;
+    
+    return {
+        x: Math.max(0, Math.floor(bounds.x1 - REDACTION_PADDING)),
+        y: Math.max(0, Math.floor(bounds.y1 - REDACTION_PADDING)),
+        width: Math.ceil(bounds.x2 - bounds.x1 + REDACTION_PADDING * 2),
+        height: Math.ceil(bounds.y2 - bounds.y1 + REDACTION_PADDING * 2)
+    };
+}
+
+/**
+ * Open the sensitive data panel and scan the image
+ */
+function openRedactionPanel() {
+    if (!state.baseImage) return;
+    showSidePanel(elements.redactionPanel);
+    scanSensitiveData();
+}
+
+/**
+ * Read the image text offline and propose redactions for what looks sensitive
+ */
+async function scanSensitiveData() {
+    if (!state.baseImage) return;
+    const redaction = { lines: null, findings: [], hoverIndex: null };
+    state.redaction = redaction;
+    elements.redactionStatus.textContent = '🔎 Reading text in the image...';
+    renderRedactionList();
+    
+    try {
+        const lines = await recognizeText({ x: 0, y: 0, width: state.canvas.width, height: state.canvas.height });
+        // Ignore results for a panel that was closed or rescanned meanwhile
+        if (state.redaction !== redaction) return;
+        redaction.lines = lines;
+        updateRedactionFindings();
+    } catch (error) {
+        if (state.redaction !== redaction) return;
+        console.error('Text recognition error:', error);
+        elements.redactionStatus.textContent = `❌ ${error.message}`;
+        showNotification(`❌ Text recognition failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Match the recognized text against the current patterns
+ */
+function updateRedactionFindings() {
+    const redaction = state.redaction;
+    if (!redaction || !redaction.lines) return;
+    
+    const { patterns, invalid } = getSensitivePatterns();
+    redaction.findings = findSensitiveData(redaction.lines, patterns);
+    redaction.hoverIndex = null;
+    
+    const count = redaction.findings.length;
+    elements.redactionStatus.textContent = (count === 0 ? '✅ Nothing sensitive found' :
+        `⚠️ Found ${count} item${count === 1 ? '' : 's'}; untick any you want to keep`) +
+        (invalid.length ? ` (ignored invalid pattern: ${invalid.join(', ')})` : '');
+    renderRedactionList();
+    redrawCanvas();
+}
+
+/**
+ * Shorten matched text so the panel does not repeat the secret in full
+ */
+function maskSensitiveText(text) {
+    return text.length > 8 ? `${text.slice(0, 3)}•••${text.slice(-3)}` : text;
+}
+
+/**
+ * List proposed redactions with accept checkboxes
+ */
+function renderRedactionList() {
+    const findings = state.redaction ? state.redaction.findings : [];
+    elements.redactionList.replaceChildren(...findings.map((finding, index) => {
+        const item = document.createElement('li');
+        item.className = 'finding-list__item';
+        item.addEventListener('mouseenter', () => setRedactionHover(index));
+        item.addEventListener('mouseleave', () => setRedactionHover(null));
+        
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = finding.accepted;
+        checkbox.addEventListener('change', () => {
+            finding.accepted = checkbox.checked;
+            updateRedactionApply();
+            redrawCanvas();
+        });
+        const kind = document.createElement('span');
+        kind.className = 'finding-list__label';
+        kind.textContent = finding.label;
+        const text = document.createElement('span');
+        text.className = 'finding-list__text';
+        text.textContent = maskSensitiveText(finding.text);
+        
+        label.append(checkbox, kind, text);
+        item.append(label);
+        return item;
+    }));
+    updateRedactionApply();
+}
+
+/**
+ * Outline a finding on the canvas while its list entry is hovered
+ */
+function setRedactionHover(index) {
+    if (!state.redaction) return;
+    state.redaction.hoverIndex = index;
+    redrawCanvas();
+}
+
+/**
+ * Enable the apply button when something is ticked
+ */
+function updateRedactionApply() {
+    const accepted = state.redaction ? state.redaction.findings.filter(finding => finding.accepted).length : 0;
+    elements.redactionApply.disabled = accepted === 0;
+    elements.redactionApply.textContent = accepted ? `✅ Redact ${accepted} Selected` : '✅ Redact Selected';
+}
+
+/**
+ * Preview proposed redactions: accepted ones through the blur pipeline, all outlined
+ */
+function drawRedactionProposals() {
+    const redaction = state.redaction;
+    if (!redaction) return;
+    const scale = getCanvasScale();
     
-    if (!file.type.startsWith('image/')) {
-        showNotification('⚠️ Please select a valid image file', 'error');
+    redaction.findings.forEach((finding, index) => {
+        if (finding.accepted) {
+            drawAnnotation(createRedactionAnnotation(finding));
+        }
+        state.ctx.save();
+        state.ctx.strokeStyle = finding.accepted ? '#FF4D4F' : '#7F8C8D';
+        state.ctx.lineWidth = (index === redaction.hoverIndex ? 3 : 1.5) * scale;
+        state.ctx.setLineDash([6 * scale, 4 * scale]);
+        state.ctx.strokeRect(finding.x, finding.y, finding.width, finding.height);
+        state.ctx.restore();
+    });
+}
+
+/**
+ * Build the blur annotation for a finding
+ */
+function createRedactionAnnotation(finding) {
+    return {
+        tool: 'blur',
+        startX: finding.x,
+        startY: finding.y,
+        endX: finding.x + finding.width,
+        endY: finding.y + finding.height,
+        color: state.currentColor,
+        strokeWidth: state.strokeWidth,
+        blurMode: elements.redactionMode.value,
+        blurStrength: state.blurStrength
+    };
+}
+
+/**
+ * Turn accepted findings into blur annotations as one undoable step
+ */
+function applyRedactions() {
+    const accepted = state.redaction ? state.redaction.findings.filter(finding => finding.accepted) : [];
+    if (accepted.length === 0) return;
+    
+    const commands = accepted.map((finding, i) => ({
+        type: 'add',
+        annotation: createAnnotation(createRedactionAnnotation(finding)),
+        index: state.annotations.length + i
+    }));
+    closeRedactionPanel();
+    executeCommand({ type: 'batch', label: 'Redact sensitive data', commands });
+    showNotification(`🔒 Redacted ${accepted.length} item${accepted.length === 1 ? '' : 's'}`, 'success');
+}
+
+/**
+ * Close the sensitive data panel and drop its proposals
+ */
+function closeRedactionPanel() {
+    if (!state.redaction && elements.redactionPanel.classList.contains('side-panel--hidden')) return;
+    state.redaction = null;
+    hideSidePanel(elements.redactionPanel);
+    if (state.baseImage) {
+        redrawCanvas();
+    }
+}
+
+/**
+ * Read the text inside a dragged region and show it in the text panel
+ */
+async function extractTextFromRegion(x1, y1, x2, y2) {
+    const left = Math.max(0, Math.round(Math.min(x1, x2)));
+    const top = Math.max(0, Math.round(Math.min(y1, y2)));
+    const right = Math.min(state.canvas.width, Math.round(Math.max(x1, x2)));
+    const bottom = Math.min(state.canvas.height, Math.round(Math.max(y1, y2)));
+    if (right - left < MIN_IMAGE_SIZE || bottom - top < MIN_IMAGE_SIZE) {
+        redrawCanvas();
+        return;
+    }
+    
+    const result = { region: { x: left, y: top, width: right - left, height: bottom - top } };
+    state.ocrResult = result;
+    elements.ocrText.value = '';
+    elements.ocrStatus.textContent = '🔎 Reading text...';
+    updateOcrActions();
+    showSidePanel(elements.ocrPanel);
+    redrawCanvas();
+    
+    try {
+        // Read what is on the canvas, so overlays, stamps and text annotations count too
+        const lines = await recognizeText(result.region, createExportCanvas());
+        if (state.ocrResult !== result) return;
+        elements.ocrText.value = lines.map(line => line.words.map(word => word.text).join(' ')).join('\n');
+        elements.ocrStatus.textContent = lines.length === 0 ? 'ℹ️ No text found in this region' :
+            `✅ Read ${lines.length} line${lines.length === 1 ? '' : 's'}; fix anything misread below`;
+    } catch (error) {
+        if (state.ocrResult !== result) return;
+        console.error('Text recognition error:', error);
+        elements.ocrStatus.textContent = `❌ ${error.message}`;
+        showNotification(`❌ Text recognition failed: ${error.message}`, 'error');
+    }
+    updateOcrActions();
+}
+
+/**
+ * Enable copy and insert once there is text
+ */
+function updateOcrActions() {
+    const hasText = elements.ocrText.value.trim().length > 0;
+    elements.ocrCopy.disabled = !hasText;
+    elements.ocrInsert.disabled = !hasText || !state.ocrResult;
+}
+
+/**
+ * Copy the recognized text to the clipboard
+ */
+async function copyOcrText() {
+    try {
+        await navigator.clipboard.writeText(elements.ocrText.value);
+        showNotification('📋 Text copied to clipboard', 'success');
+    } catch (error) {
+        console.error('Copy error:', error);
+        // Leave the text selected so it can be copied by hand
+        elements.ocrText.select();
+        showNotification('⚠️ Clipboard unavailable; press Ctrl+C to copy the selected text', 'error');
+    }
+}
+
+/**
+ * Add the recognized text as a text annotation below its region, then select it
+ */
+function insertOcrText() {
+    const text = elements.ocrText.value.trim();
+    if (!text || !state.ocrResult) return;
+    
+    const { region } = state.ocrResult;
+    const style = { color: state.currentColor, ...state.textStyle };
+    const below = region.y + region.height + style.fontSize * (1 + TEXT_BOX_PADDING);
+    const annotation = createAnnotation({
+        tool: 'text',
+        x: region.x,
+        // Fall back to overlaying the region when there is no room underneath
+        y: below < state.canvas.height ? below : region.y + style.fontSize,
+        text,
+        maxWidth: Math.max(style.fontSize * 4, state.canvas.width - region.x),
+        ...style
+    });
+    
+    closeOcrPanel();
+    addAnnotation(annotation);
+    selectTool('select');
+    state.selectedId = annotation.id;
+    syncStyleControls(annotation);
+    updateToolOptions();
+    redrawCanvas();
+    showNotification('📝 Text added; drag it into place or double-click to edit', 'success');
+}
+
+/**
+ * Outline the region whose text is shown in the panel
+ */
+function drawOcrRegion() {
+    if (!state.ocrResult) return;
+    const { region } = state.ocrResult;
+    const scale = getCanvasScale();
+    
+    state.ctx.save();
+    state.ctx.strokeStyle = '#4A90E2';
+    state.ctx.lineWidth = 2 * scale;
+    state.ctx.setLineDash([6 * scale, 4 * scale]);
+    state.ctx.strokeRect(region.x, region.y, region.width, region.height);
+    state.ctx.restore();
+}
+
+/**
+ * Close the text panel
+ */
+function closeOcrPanel() {
+    if (!state.ocrResult && elements.ocrPanel.classList.contains('side-panel--hidden')) return;
+    state.ocrResult = null;
+    hideSidePanel(elements.ocrPanel);
+    if (state.baseImage) {
+        redrawCanvas();
+    }
+}
+
+/**
+ * Show a panel beside the canvas
+ */
+function showSidePanel(panel) {
+    panel.classList.remove('side-panel--hidden');
+    updateSidePanels();
+}
+
+/**
+ * Hide a panel beside the canvas
+ */
+function hideSidePanel(panel) {
+    panel.classList.add('side-panel--hidden');
+    updateSidePanels();
+}
+
+/**
+ * Collapse the panel column when no panel is open and refit the canvas
+ */
+function updateSidePanels() {
+    const isOpen = !!elements.sidePanels.querySelector('.side-panel:not(.side-panel--hidden)');
+    elements.sidePanels.classList.toggle('side-panels--hidden', !isOpen);
+    if (state.baseImage) {
+        applyZoom();
+    }
+}
+
+/**
+ * Draw selection box and handles
+ */
+function drawSelectionOverlay() {
+    const annotation = getSelectedAnnotation();
+    if (!annotation) return;
+    
+    const scale = getCanvasScale();
+    const padding = 4 * scale;
+    const handleSize = HANDLE_SIZE * scale;
+    const bounds = getAnnotationBounds(annotation);
+    
+    state.ctx.save();
+    state.ctx.strokeStyle = '#4A90E2';
+    state.ctx.lineWidth = scale;
+    state.ctx.setLineDash([6 * scale, 4 * scale]);
+    state.ctx.strokeRect(
+        bounds.x - padding,
+        bounds.y - padding,
+        bounds.width + padding * 2,
+        bounds.height + padding * 2
+    );
+    state.ctx.setLineDash([]);
+    state.ctx.fillStyle = '#FFFFFF';
+    const handles = isAnnotationEditable(annotation) ? getAnnotationHandles(annotation) : [];
+    handles.forEach(handle => {
+        if (handle.round) {
+            state.ctx.beginPath();
+            state.ctx.arc(handle.x, handle.y, handleSize / 2 + scale, 0, 2 * Math.PI);
+            state.ctx.fill();
+            state.ctx.stroke();
+            return;
+        }
+        state.ctx.fillRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+        state.ctx.strokeRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+    });
+    state.ctx.restore();
+}
+
+/**
+ * Copy an annotation so history entries are not affected by later edits
+ */
+function cloneAnnotation(annotation) {
+    return structuredClone(annotation);
+}
+
+/**
+ * Compare two annotation snapshots
+ */
+function isSameAnnotation(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Replace an annotation in place by id
+ */
+function replaceAnnotation(snapshot) {
+    const index = state.annotations.findIndex(annotation => annotation.id === snapshot.id);
+    if (index !== -1) {
+        state.annotations[index] = cloneAnnotation(snapshot);
+    }
+}
+
+/**
+ * History commands: apply performs (or redoes) a step, revert undoes it
+ */
+const historyHandlers = {
+    add: {
+        label: 'Add annotation',
+        apply: (command) => state.annotations.splice(command.index, 0, cloneAnnotation(command.annotation)),
+        revert: (command) => state.annotations.splice(command.index, 1)
+    },
+    delete: {
+        label: 'Delete annotation',
+        apply: (command) => state.annotations.splice(command.index, 1),
+        revert: (command) => state.annotations.splice(command.index, 0, cloneAnnotation(command.annotation))
+    },
+    update: {
+        label: 'Edit annotation',
+        apply: (command) => replaceAnnotation(command.after),
+        revert: (command) => replaceAnnotation(command.before)
+    },
+    transform: {
+        label: 'Transform image',
+        apply: (command) => restoreImageState(command.after),
+        revert: (command) => restoreImageState(command.before)
+    },
+    reorder: {
+        label: 'Reorder annotation',
+        apply: (command) => moveAnnotationIndex(command.from, command.to),
+        revert: (command) => moveAnnotationIndex(command.to, command.from)
+    },
+    batch: {
+        label: 'Edit annotations',
+        apply: (command) => command.commands.forEach(step => historyHandlers[step.type].apply(step)),
+        revert: (command) => [...command.commands].reverse().forEach(step => historyHandlers[step.type].revert(step))
+    },
+    clear: {
+        label: 'Clear all',
+        apply: () => {
+            state.annotations = [];
+        },
+        revert: (command) => {
+            state.annotations = command.annotations.map(cloneAnnotation);
+        }
+    }
+};
+
+/**
+ * Move an annotation to another position in the drawing order
+ */
+function moveAnnotationIndex(from, to) {
+    const [annotation] = state.annotations.splice(from, 1);
+    state.annotations.splice(to, 0, annotation);
+}
+
+/**
+ * Push an already-applied command onto the undo stack
+ */
+function recordCommand(command) {
+    state.undoStack.push(command);
+    if (state.undoStack.length > HISTORY_LIMIT) {
+        state.undoStack.shift();
+    }
+    trimHistoryImages();
+    state.redoStack = [];
+    updateUndoButton();
+    scheduleAutosave();
+}
+
+/**
+ * Get the image snapshots a history step holds on to
+ */
+function getHistoryImages(command) {
+    if (command.type === 'transform') return [command.before.image, command.after.image];
+    if (command.type === 'batch') return command.commands.flatMap(getHistoryImages);
+    return [];
+}
+
+/**
+ * Drop the oldest steps while image snapshots in the history exceed the pixel budget
+ * Steps before a dropped transform can't be undone without its snapshot, so they go with it.
+ */
+function trimHistoryImages() {
+    const countPixels = () => {
+        const images = new Set(state.undoStack.flatMap(getHistoryImages));
+        // The image on screen is kept anyway
+        images.delete(state.baseImage);
+        return [...images].reduce((total, image) => total + image.width * image.height, 0);
+    };
+    
+    while (countPixels() > HISTORY_PIXEL_LIMIT) {
+        const index = state.undoStack.findIndex(command => getHistoryImages(command).length > 0);
+        state.undoStack.splice(0, index + 1);
+    }
+}
+
+/**
+ * Apply a command and record it
+ */
+function executeCommand(command) {
+    commitRestyle();
+    historyHandlers[command.type].apply(command);
+    recordCommand(command);
+    refreshAfterHistoryChange();
+}
+
+/**
+ * Add a new annotation through history
+ */
+function addAnnotation(annotation) {
+    executeCommand({
+        type: 'add',
+        annotation: cloneAnnotation(annotation),
+        index: state.annotations.length
+    });
+}
+
+/**
+ * Drop selection that no longer exists and repaint
+ */
+function refreshAfterHistoryChange() {
+    if (state.selectedId !== null && !getAnnotationById(state.selectedId)) {
+        state.selectedId = null;
+        updateToolOptions();
+    }
+    redrawCanvas();
+    renderLayers();
+    updateUndoButton();
+    scheduleAutosave();
+}
+
+/**
+ * Forget all undo and redo steps
+ */
+function resetHistory() {
+    state.undoStack = [];
+    state.redoStack = [];
+    state.pendingRestyle = null;
+    updateUndoButton();
+}
+
+/**
+ * Undo last command
+ */
+function undo() {
+    commitRestyle();
+    const command = state.undoStack.pop();
+    if (!command) return;
+    
+    historyHandlers[command.type].revert(command);
+    state.redoStack.push(command);
+    refreshAfterHistoryChange();
+    showNotification(`↩️ Undone: ${command.label || historyHandlers[command.type].label}`, 'info');
+}
+
+/**
+ * Redo last undone command
+ */
+function redo() {
+    commitRestyle();
+    const command = state.redoStack.pop();
+    if (!command) return;
+    
+    historyHandlers[command.type].apply(command);
+    state.undoStack.push(command);
+    refreshAfterHistoryChange();
+    showNotification(`↪️ Redone: ${command.label || historyHandlers[command.type].label}`, 'info');
+}
+
+/**
+ * Clear annotations
+ */
+function clearAnnotations() {
+    hideConfirmModal();
+    if (state.annotations.length === 0) return;
+    
+    executeCommand({ type: 'clear', annotations: state.annotations.map(cloneAnnotation) });
+    showNotification('🗑️ All annotations cleared', 'info');
+}
+
+/**
+ * Capture the base image and annotations for an image transform step
+ */
+function snapshotImageState() {
+    return {
+        image: state.baseImage,
+        annotations: state.annotations.map(cloneAnnotation)
+    };
+}
+
+/**
+ * Swap in a base image and annotation list, resizing the canvas to fit
+ */
+function restoreImageState(snapshot) {
+    // Proposed redactions and text regions were found at the old geometry
+    closeRedactionPanel();
+    closeOcrPanel();
+    state.baseImage = snapshot.image;
+    state.canvas.width = snapshot.image.width;
+    state.canvas.height = snapshot.image.height;
+    state.ctx = state.canvas.getContext('2d', { willReadFrequently: true });
+    state.annotations = snapshot.annotations.map(cloneAnnotation);
+    applyZoom();
+}
+
+/**
+ * Move an annotation's geometry with a point mapping
+ * Sizes such as stroke width and font size are multiplied by scale.
+ */
+function transformAnnotation(annotation, mapPoint, scale = 1) {
+    const transformed = cloneAnnotation(annotation);
+    const scaleKeys = ['strokeWidth', 'fontSize', 'maxWidth', 'blurStrength', 'width', 'height', 'cornerRadius', 'feather'];
+    
+    if (annotation.tool === 'text') {
+        // Text stays upright, so move its box instead of its baseline point
+        const bounds = getAnnotationBounds(annotation);
+        const corners = [
+            mapPoint(bounds.x, bounds.y),
+            mapPoint(bounds.x + bounds.width, bounds.y + bounds.height)
+        ];
+        const left = Math.min(corners[0][0], corners[1][0]);
+        const top = Math.min(corners[0][1], corners[1][1]);
+        transformed.x = left + (annotation.x - bounds.x) * scale;
+        transformed.y = top + (annotation.y - bounds.y) * scale;
+    } else if (FREEHAND_TOOLS.includes(annotation.tool)) {
+        transformed.points = annotation.points.map(([x, y, pressure]) => [...mapPoint(x, y), pressure]);
+    } else if (annotation.tool === 'magnifier') {
+        [transformed.startX, transformed.startY] = mapPoint(annotation.startX, annotation.startY);
+        [transformed.endX, transformed.endY] = mapPoint(annotation.endX, annotation.endY);
+        [transformed.x, transformed.y] = mapPoint(annotation.x, annotation.y);
+    } else if (annotation.tool === 'spotlight') {
+        transformed.regions = annotation.regions.map(region => {
+            const [startX, startY] = mapPoint(region.startX, region.startY);
+            const [endX, endY] = mapPoint(region.endX, region.endY);
+            return { ...region, startX, startY, endX, endY };
+        });
+    } else if (annotation.tool === 'step' || annotation.tool === 'image') {
+        [transformed.x, transformed.y] = mapPoint(annotation.x, annotation.y);
+        if (annotation.targetX !== undefined) {
+            [transformed.targetX, transformed.targetY] = mapPoint(annotation.targetX, annotation.targetY);
+        }
+        if (annotation.tool === 'image') {
+            transformed.rotation = getTransformedRotation(annotation, mapPoint);
+        }
+    } else {
+        [transformed.startX, transformed.startY] = mapPoint(annotation.startX, annotation.startY);
+        [transformed.endX, transformed.endY] = mapPoint(annotation.endX, annotation.endY);
+        // Map the bend point too, so flips mirror the curve
+        const control = annotation.tool === 'arrow' && getArrowControlPoint(annotation);
+        if (control) {
+            transformed.curve = getArrowCurve(transformed, ...mapPoint(control.x, control.y));
+        }
+    }
+    
+    if (scale !== 1) {
+        scaleKeys.forEach(key => {
+            if (typeof annotation[key] === 'number') {
+                transformed[key] = Math.round(annotation[key] * scale * 100) / 100;
+            }
+        });
+    }
+    return transformed;
+}
+
+/**
+ * Work out an image overlay's rotation after the base image is rotated or flipped
+ * Images are never drawn mirrored, so a flip mirrors the angle and keeps the overlay upright.
+ */
+function getTransformedRotation(annotation, mapPoint) {
+    const [x0, y0] = mapPoint(annotation.x, annotation.y);
+    const [x1, y1] = mapPoint(annotation.x + 1, annotation.y);
+    const [x2, y2] = mapPoint(annotation.x, annotation.y + 1);
+    const turn = Math.round(Math.atan2(y1 - y0, x1 - x0) * 180 / Math.PI);
+    const isMirrored = (x1 - x0) * (y2 - y0) - (y1 - y0) * (x2 - x0) < 0;
+    const rotation = isMirrored
+        ? turn - Math.round(turn / 180) * 180 - (annotation.rotation || 0)
+        : turn + (annotation.rotation || 0);
+    return ((rotation + 540) % 360) - 180;
+}
+
+/**
+ * Redraw the base image onto a new canvas and move annotations to match
+ * draw(ctx, image) paints the old base image; mapPoint(x, y) maps old to new coordinates.
+ */
+function transformBaseImage(width, height, draw, mapPoint, scale = 1, keep = () => true) {
+    if (!state.baseImage || state.clip) return;
+    commitTextEditor();
+    commitRestyle();
+    
+    const imageCanvas = document.createElement('canvas');
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    const imageCtx = imageCanvas.getContext('2d');
+    draw(imageCtx, state.baseImage);
+    
+    executeCommand({
+        type: 'transform',
+        before: snapshotImageState(),
+        after: {
+            image: imageCanvas,
+            annotations: state.annotations
+                .filter(keep)
+                .map(annotation => transformAnnotation(annotation, mapPoint, scale))
+        }
+    });
+}
+
+/**
+ * Crop the base image to a dragged rectangle
+ * Annotations entirely outside the crop are removed.
+ */
+function cropImage(x1, y1, x2, y2) {
+    const left = Math.max(0, Math.round(Math.min(x1, x2)));
+    const top = Math.max(0, Math.round(Math.min(y1, y2)));
+    const right = Math.min(state.canvas.width, Math.round(Math.max(x1, x2)));
+    const bottom = Math.min(state.canvas.height, Math.round(Math.max(y1, y2)));
+    const width = right - left;
+    const height = bottom - top;
+    
+    if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) {
+        redrawCanvas();
         return;
     }
     
-    showProgress('Loading image...');
-    const reader = new FileReader();
+    transformBaseImage(
+        width,
+        height,
+        (ctx, image) => ctx.drawImage(image, -left, -top),
+        (x, y) => [x - left, y - top],
+        1,
+        (annotation) => {
+            const bounds = getAnnotationBounds(annotation);
+            return bounds.x <= right && bounds.y <= bottom &&
+                bounds.x + bounds.width >= left && bounds.y + bounds.height >= top;
+        }
+    );
+    showNotification(`✂️ Cropped to ${width}×${height}`, 'success');
+}
+
+/**
+ * Rotate the base image by 90° (direction 1 = clockwise, -1 = counter-clockwise)
+ */
+function rotateImage(direction) {
+    const width = state.canvas.width;
+    const height = state.canvas.height;
+    
+    transformBaseImage(
+        height,
+        width,
+        (ctx, image) => {
+            if (direction > 0) {
+                ctx.translate(height, 0);
+            } else {
+                ctx.translate(0, width);
+            }
+            ctx.rotate(direction * Math.PI / 2);
+            ctx.drawImage(image, 0, 0);
+        },
+        direction > 0
+            ? (x, y) => [height - y, x]
+            : (x, y) => [y, width - x]
+    );
+}
+
+/**
+ * Mirror the base image horizontally or vertically
+ */
+function flipImage(horizontal) {
+    const width = state.canvas.width;
+    const height = state.canvas.height;
+    
+    transformBaseImage(
+        width,
+        height,
+        (ctx, image) => {
+            if (horizontal) {
+                ctx.translate(width, 0);
+                ctx.scale(-1, 1);
+            } else {
+                ctx.translate(0, height);
+                ctx.scale(1, -1);
+            }
+            ctx.drawImage(image, 0, 0);
+        },
+        horizontal
+            ? (x, y) => [width - x, y]
+            : (x, y) => [x, height - y]
+    );
+}
+
+/**
+ * Scale the base image and add padding around it
+ */
+function resizeImage(width, height, padding = 0, paddingColor = '#FFFFFF') {
+    const scaleX = width / state.canvas.width;
+    const scaleY = height / state.canvas.height;
+    
+    transformBaseImage(
+        width + padding * 2,
+        height + padding * 2,
+        (ctx, image) => {
+            if (padding > 0) {
+                ctx.fillStyle = paddingColor;
+                ctx.fillRect(0, 0, width + padding * 2, height + padding * 2);
+            }
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(image, padding, padding, width, height);
+        },
+        (x, y) => [x * scaleX + padding, y * scaleY + padding],
+        Math.sqrt(scaleX * scaleY)
+    );
+}
+
+/**
+ * Update undo and redo buttons
+ */
+function updateUndoButton() {
+    elements.undoBtn.disabled = state.undoStack.length === 0;
+    elements.redoBtn.disabled = state.redoStack.length === 0;
+}
+
+/**
+ * Render annotated image without editor overlays
+ */
+function createExportCanvas(scale = 1) {
+    redrawCanvas(false);
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = Math.max(1, Math.round(state.canvas.width * scale));
+    exportCanvas.height = Math.max(1, Math.round(state.canvas.height * scale));
+    const exportCtx = exportCanvas.getContext('2d');
+    exportCtx.imageSmoothingQuality = 'high';
+    exportCtx.drawImage(state.canvas, 0, 0, exportCanvas.width, exportCanvas.height);
+    redrawCanvas();
+    return exportCanvas;
+}
+
+/**
+ * Encode a canvas as a blob
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`Could not encode ${type}`));
+            }
+        }, type, quality);
+    });
+}
+
+/**
+ * Paint a canvas over white so formats without alpha don't turn black
+ */
+function flattenOnWhite(canvas) {
+    const flatCanvas = document.createElement('canvas');
+    flatCanvas.width = canvas.width;
+    flatCanvas.height = canvas.height;
+    const flatCtx = flatCanvas.getContext('2d');
+    flatCtx.fillStyle = '#FFFFFF';
+    flatCtx.fillRect(0, 0, flatCanvas.width, flatCanvas.height);
+    flatCtx.drawImage(canvas, 0, 0);
+    return flatCanvas;
+}
+
+/**
+ * Load saved export settings
+ */
+function loadExportSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('export-settings'));
+        if (saved && EXPORT_FORMATS[saved.format]) {
+            return { ...DEFAULT_EXPORT_SETTINGS, ...saved };
+        }
+    } catch (error) {
+        console.error('Export settings error:', error);
+    }
+    return { ...DEFAULT_EXPORT_SETTINGS };
+}
+
+/**
+ * Build an export filename from the template
+ * Supported tokens: {date}, {time}, {timestamp}, {width}, {height}
+ */
+function formatExportFilename(settings, width, height) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const tokens = {
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+        timestamp: String(now.getTime()),
+        width: String(width),
+        height: String(height)
+    };
+    const name = (settings.filenameTemplate || DEFAULT_EXPORT_SETTINGS.filenameTemplate)
+        .replace(/\{(\w+)\}/g, (match, token) => tokens[token] ?? match)
+        .replace(/[\\/:*?"<>|]+/g, '-')
+        .trim();
+    return `${name || 'the-deets'}.${EXPORT_FORMATS[settings.format].extension}`;
+}
+
+/**
+ * Export the annotated image in the chosen format
+ */
+async function createExportFile(settings) {
+    // Clip formats saved from an earlier recording fall back to a still image
+    if (EXPORT_FORMATS[settings.format].clip && !state.clip) {
+        settings = { ...settings, format: DEFAULT_EXPORT_SETTINGS.format };
+    }
+    const format = EXPORT_FORMATS[settings.format];
+    const width = Math.round(state.canvas.width * settings.scale);
+    const height = Math.round(state.canvas.height * settings.scale);
+    let blob;
+    
+    if (format.clip) {
+        try {
+            blob = settings.format === 'gif' ? await exportClipGif(settings) : await exportClipWebM(settings);
+        } finally {
+            hideProgress();
+        }
+    } else if (settings.format === 'svg') {
+        blob = new Blob([createSvgDocument(settings.scale)], { type: format.mimeType });
+    } else if (settings.format === 'pdf') {
+        blob = createPdfBlob([await createPdfPage(settings)]);
+    } else {
+        let canvas = createExportCanvas(settings.scale);
+        if (settings.format === 'jpeg') {
+            canvas = flattenOnWhite(canvas);
+        }
+        blob = await canvasToBlob(canvas, format.mimeType, settings.quality);
+        if (blob.type !== format.mimeType) {
+            throw new Error(`${format.label} is not supported by this browser`);
+        }
+    }
     
-    reader.onload = (e) => {
-        loadImageToEditor(e.target.result);
-        hideProgress();
-        showNotification('✅ Image imported successfully', 'success');
-    };
+    return new File([blob], formatExportFilename(settings, width, height), { type: format.mimeType });
+}
+
+/**
+ * Render the annotated image as a JPEG page for a PDF
+ */
+async function createPdfPage(settings) {
+    const canvas = flattenOnWhite(createExportCanvas(settings.scale));
+    const jpeg = await canvasToBlob(canvas, 'image/jpeg', settings.quality);
+    return { jpeg: new Uint8Array(await jpeg.arrayBuffer()), width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Export every open image as one multi-page PDF, or as a ZIP of images
+ * Clip formats fall back to a still image of each tab.
+ */
+async function createBatchExportFile(settings) {
+    if (EXPORT_FORMATS[settings.format].clip) {
+        settings = { ...settings, format: DEFAULT_EXPORT_SETTINGS.format };
+    }
+    const active = getActiveDocument();
+    const pages = [];
+    const files = [];
     
-    reader.onerror = () => {
+    stashDocument();
+    try {
+        for (const [index, doc] of state.documents.entries()) {
+            showProgress(`Exporting image ${index + 1} of ${state.documents.length}...`);
+            loadDocumentState(doc);
+            if (settings.format === 'pdf') {
+                pages.push(await createPdfPage(settings));
+            } else {
+                const file = await createExportFile(settings);
+                // Files made in the same second would share a name
+                const name = file.name.replace(/(\.\w+)$/, `-${index + 1}$1`);
+                files.push({ name, data: new Uint8Array(await file.arrayBuffer()) });
+            }
+        }
+    } finally {
         hideProgress();
-        showNotification('❌ Failed to read image file', 'error');
-    };
+        showDocument(active);
+    }
     
-    reader.readAsDataURL(file);
+    const width = Math.round(state.canvas.width * settings.scale);
+    const height = Math.round(state.canvas.height * settings.scale);
+    const name = formatExportFilename(settings, width, height);
+    if (settings.format === 'pdf') {
+        return new File([createPdfBlob(pages)], name, { type: 'application/pdf' });
+    }
+    return new File([createZipBlob(files)], name.replace(/\.\w+$/, '.zip'), { type: 'application/zip' });
 }
 
 /**
- * Load image to editor
+ * Download image
  */
-function loadImageToEditor(dataURL) {
-    const img = new Image();
-    img.onload = () => {
-        state.canvas.width = img.width;
-        state.canvas.height = img.height;
-        state.ctx = state.canvas.getContext('2d', { willReadFrequently: true });
-        state.ctx.drawImage(img, 0, 0);
-        state.baseImage = img;
+async function downloadImage(all = false) {
+    try {
+        const file = all ? await createBatchExportFile(state.exportSettings) : await createExportFile(state.exportSettings);
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.download = file.name;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showNotification(all ? `💾 ${state.documents.length} images downloaded successfully` : '💾 Image downloaded successfully', 'success');
+    } catch (error) {
+        console.error('Download error:', error);
+        showNotification(`❌ Failed to download image: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Share image
+ */
+async function shareImage() {
+    try {
+        const file = await createExportFile(state.exportSettings);
         
-        elements.captureSection.classList.add('section--hidden');
-        elements.editorSection.classList.remove('section--hidden');
-        state.annotations = [];
-        updateUndoButton();
-    };
-    img.src = dataURL;
+        if (navigator.share && navigator.canShare({ files: [file] })) {
+            await navigator.share({
+                files: [file],
+                title: 'Annotated Screenshot',
+                text: 'Check out this annotated image from the-deets'
+            });
+            showNotification('📤 Image shared successfully', 'success');
+        } else {
+            // The clipboard only accepts PNG images
+            const blob = await canvasToBlob(createExportCanvas(state.exportSettings.scale), 'image/png');
+            await navigator.clipboard.write([
+                new ClipboardItem({ 'image/png': blob })
+            ]);
+            showNotification('📋 Image copied to clipboard', 'success');
+        }
+    } catch (error) {
+        console.error('Share error:', error);
+        showNotification('ℹ️ Sharing not supported. Image downloaded instead.', 'info');
+        downloadImage();
+    }
 }
 
 /**
- * Select tool
+ * Escape text for XML output
  */
-function selectTool(tool) {
-    state.currentTool = tool;
-    elements.toolBtns.forEach(btn => {
-        const isActive = btn.dataset.tool === tool;
-        btn.classList.toggle('tool-btn--active', isActive);
-        btn.setAttribute('aria-pressed', isActive);
-    });
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
 /**
- * Start drawing
+ * Split the visible annotations into those baked into the SVG background and those kept as vectors
+ * Everything up to the topmost pixel effect is baked in, so a blur or spotlight still covers what lies beneath it.
  */
-function startDrawing(event) {
-    state.isDrawing = true;
-    const pos = getCanvasMousePosition(state.canvas, event);
-    state.startX = pos.x;
-    state.startY = pos.y;
+function getSvgLayers() {
+    const visible = state.annotations.filter(annotation => isAnnotationVisible(annotation));
+    const lastEffect = visible.map(annotation => PIXEL_EFFECT_TOOLS.includes(annotation.tool)).lastIndexOf(true);
+    return { raster: visible.slice(0, lastEffect + 1), vector: visible.slice(lastEffect + 1) };
+}
+
+/**
+ * Render base image with the given annotations applied, in layer order
+ */
+function createSvgBackgroundDataURL(annotations) {
+    state.ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
+    state.ctx.drawImage(state.baseImage, 0, 0);
+    annotations.forEach(drawAnnotation);
+    const dataURL = state.canvas.toDataURL('image/png');
+    redrawCanvas();
+    return dataURL;
+}
+
+/**
+ * Convert an annotation to SVG markup
+ */
+function annotationToSvg(annotation) {
+    const color = escapeXml(annotation.color);
+    const stroke = `stroke="${color}" stroke-width="${annotation.strokeWidth}" stroke-linecap="round" stroke-linejoin="round"`;
     
-    if (state.currentTool === 'text') {
-        showTextModal(state.startX, state.startY);
-        state.isDrawing = false;
-    } else if (state.currentTool === 'blur') {
-        // Store original imageData for undo capability
-        const width = state.canvas.width;
-        const height = state.canvas.height;
-        state.tempBlurBackup = state.ctx.getImageData(0, 0, width, height);
+    switch (annotation.tool) {
+        case 'arrow':
+        case 'rect':
+        case 'circle':
+        case 'highlight':
+            return shapeToSvg(annotation);
+        case 'pen':
+        case 'marker':
+            return freehandToSvg(annotation);
+        case 'step': {
+            const radius = getStepRadius(annotation);
+            const leader = annotation.targetX === undefined ? '' :
+                `<line x1="${annotation.x}" y1="${annotation.y}" x2="${annotation.targetX}" y2="${annotation.targetY}" ${stroke}/>` +
+                `<circle cx="${annotation.targetX}" cy="${annotation.targetY}" r="${Math.max(3, annotation.strokeWidth)}" fill="${color}"/>`;
+            return `<g>${leader}` +
+                `<circle cx="${annotation.x}" cy="${annotation.y}" r="${radius}" fill="${color}" stroke="#FFFFFF" stroke-width="2"/>` +
+                `<text x="${annotation.x}" y="${annotation.y + 1}" font-family="Inter, sans-serif" font-weight="600" font-size="${Math.round(radius * 1.1)}" ` +
+                `fill="${getContrastingTextColor(annotation.color)}" text-anchor="middle" dominant-baseline="middle">${getStepNumber(annotation)}</text></g>`;
+        }
+        case 'text':
+            return textToSvg(annotation);
+        case 'image': {
+            const rotation = annotation.rotation ? ` transform="rotate(${annotation.rotation} ${annotation.x} ${annotation.y})"` : '';
+            return `<image href="${escapeXml(annotation.src)}" x="${annotation.x - annotation.width / 2}" y="${annotation.y - annotation.height / 2}" ` +
+                `width="${annotation.width}" height="${annotation.height}" preserveAspectRatio="none"${rotation}/>`;
+        }
+        default:
+            return '';
     }
 }
 
 /**
- * Draw annotation
+ * Convert a text annotation to SVG markup
  */
-function draw(event) {
-    if (!state.isDrawing) return;
+function textToSvg(annotation) {
+    const style = getTextStyle(annotation);
+    const layout = layoutText(annotation);
+    const color = escapeXml(annotation.color);
+    const contrast = getContrastingTextColor(annotation.color);
+    let box = '';
     
-    const pos = getCanvasMousePosition(state.canvas, event);
-    const currentX = pos.x;
-    const currentY = pos.y;
+    if (style.background === 'fill') {
+        const bounds = getAnnotationBounds(annotation);
+        box = `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" rx="${style.fontSize * 0.25}" fill="${color}"/>`;
+    }
+    const outline = style.background === 'outline'
+        ? ` stroke="${contrast}" stroke-width="${Math.max(2, style.fontSize / 6)}" stroke-linejoin="round" paint-order="stroke"`
+        : '';
+    const lines = layout.lines
+        .map((line, i) => `<tspan x="${annotation.x}" y="${annotation.y + i * layout.lineHeight}">${escapeXml(line)}</tspan>`)
+        .join('');
     
-    redrawCanvas();
+    return `<g>${box}<text font-family="${escapeXml(TEXT_FONTS[style.fontFamily] || TEXT_FONTS.sans)}" font-size="${style.fontSize}" ` +
+        `font-weight="${style.fontWeight}" fill="${style.background === 'fill' ? contrast : color}"${outline} xml:space="preserve">${lines}</text></g>`;
+}
+
+/**
+ * Convert a freehand path to SVG markup
+ */
+function freehandToSvg(annotation) {
+    const points = annotation.points;
+    const color = escapeXml(annotation.color);
+    const { width, opacity } = getFreehandStyle(annotation);
+    const curve = (segment) => `C${segment.cp1.join(',')} ${segment.cp2.join(',')} ${segment.to[0]},${segment.to[1]}`;
     
-    state.ctx.strokeStyle = state.currentColor;
-    state.ctx.fillStyle = state.currentTool === 'highlight'
-        ? `${state.currentColor}40`
-        : state.currentColor;
-    state.ctx.lineWidth = state.strokeWidth;
-    state.ctx.lineCap = 'round';
-    state.ctx.lineJoin = 'round';
+    if (points.length === 1) {
+        return `<circle cx="${points[0][0]}" cy="${points[0][1]}" r="${width / 2}" fill="${color}" opacity="${opacity}"/>`;
+    }
     
-    switch (state.currentTool) {
-        case 'arrow':
-            drawArrow(state.startX, state.startY, currentX, currentY);
+    const attributes = `fill="none" stroke="${color}" stroke-linecap="round" stroke-linejoin="round"`;
+    if (hasVariablePressure(annotation)) {
+        const paths = getFreehandSegments(points).map(segment =>
+            `<path d="M${segment.from[0]},${segment.from[1]} ${curve(segment)}" stroke-width="${width * Math.max(0.2, segment.pressure * 2)}"/>`
+        );
+        return `<g ${attributes} opacity="${opacity}">${paths.join('')}</g>`;
+    }
+    
+    const path = getFreehandSegments(points).map(curve).join(' ');
+    return `<path d="M${points[0][0]},${points[0][1]} ${path}" ${attributes} stroke-width="${width}" opacity="${opacity}"/>`;
+}
+
+/**
+ * Convert a styled shape to SVG, wrapped in a group carrying its opacity and shadow
+ */
+function shapeToSvg(annotation) {
+    const style = getShapeStyle(annotation);
+    const color = escapeXml(annotation.color);
+    const dash = getDashPattern(style.lineStyle, annotation.strokeWidth);
+    const stroke = `stroke="${color}" stroke-width="${annotation.strokeWidth}" stroke-linecap="round" stroke-linejoin="round"` +
+        (dash.length ? ` stroke-dasharray="${dash.join(' ')}"` : '');
+    const fill = style.fill ? `fill="${escapeXml(style.fillColor)}"` : 'fill="none"';
+    const bounds = getAnnotationBounds(annotation);
+    const radius = Math.min(style.cornerRadius, bounds.width / 2, bounds.height / 2);
+    let shape = '';
+    
+    switch (annotation.tool) {
+        case 'arrow': {
+            const control = getArrowControlPoint(annotation);
+            const path = `M${annotation.startX},${annotation.startY} ` + (control
+                ? `Q${control.x},${control.y} ${annotation.endX},${annotation.endY}`
+                : `L${annotation.endX},${annotation.endY}`);
+            const heads = getArrowheads(annotation, style).map(([tip, left, right]) => {
+                const points = `${left.join(',')} ${tip.join(',')} ${right.join(',')}`;
+                return style.arrowhead === 'filled'
+                    ? `<polygon points="${points}" fill="${color}"/>`
+                    : `<polyline points="${points}"/>`;
+            }).join('');
+            shape = `<path d="${path}" ${stroke}/><g fill="none" ${stroke.replace(/ stroke-dasharray="[^"]*"/, '')}>${heads}</g>`;
             break;
+        }
         case 'rect':
-            drawRect(state.startX, state.startY, currentX, currentY);
+            shape = `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" rx="${radius}" ${fill} ${stroke}/>`;
             break;
-        case 'circle':
-            drawCircle(state.startX, state.startY, currentX, currentY);
+        case 'circle': {
+            const circleRadius = Math.hypot(annotation.endX - annotation.startX, annotation.endY - annotation.startY);
+            shape = `<circle cx="${annotation.startX}" cy="${annotation.startY}" r="${circleRadius}" ${fill} ${stroke}/>`;
             break;
+        }
         case 'highlight':
-            drawHighlight(state.startX, state.startY, currentX, currentY);
-            break;
-        case 'blur':
-            drawBlurPreview(state.startX, state.startY, currentX, currentY);
+            shape = `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" rx="${radius}" fill="${color}" fill-opacity="${HIGHLIGHT_OPACITY}"/>`;
             break;
     }
+    
+    if (!style.shadow) {
+        return style.opacity === 1 ? shape : `<g opacity="${style.opacity}">${shape}</g>`;
+    }
+    // Canvas shadow blur is twice the SVG standard deviation
+    const shadow = getShadowSettings(annotation);
+    const filterId = `shadow-${annotation.id}`;
+    return `<filter id="${filterId}" x="-50%" y="-50%" width="200%" height="200%">` +
+        `<feDropShadow dx="${shadow.offset}" dy="${shadow.offset}" stdDeviation="${shadow.blur / 2}" flood-color="#000000" flood-opacity="0.35"/></filter>` +
+        `<g opacity="${style.opacity}" filter="url(#${filterId})">${shape}</g>`;
+}
+
+/**
+ * Build an SVG with the base image embedded and annotations as vectors
+ * Annotations beneath a blur, spotlight or magnifier are baked into the embedded image with it.
+ */
+function createSvgDocument(scale = 1) {
+    const width = state.canvas.width;
+    const height = state.canvas.height;
+    const layers = getSvgLayers();
+    const background = createSvgBackgroundDataURL(layers.raster);
+    const shapes = layers.vector.map(annotationToSvg).join('\n    ');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${width} ${height}">
+    <image width="${width}" height="${height}" href="${background}" xlink:href="${background}"/>
+    ${shapes}
+</svg>
+`;
+}
+
+/**
+ * Build a PDF with one JPEG image per page
+ * Pages are sized so the image prints at 96 DPI.
+ */
+function createPdfBlob(pages) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const beginObject = (number) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n`);
+    };
+    
+    const pageIds = pages.map((page, index) => 3 + index * 3);
+    
+    write('%PDF-1.4\n');
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+    
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const pageWidth = (page.width * 0.75).toFixed(2);
+        const pageHeight = (page.height * 0.75).toFixed(2);
+        const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+        
+        beginObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+        beginObject(pageId + 1);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+        beginObject(pageId + 2);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+        write(page.jpeg);
+        write('\nendstream\nendobj\n');
+    });
+    
+    const objectCount = 2 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+    for (let number = 1; number <= objectCount; number++) {
+        write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ */
+function getCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from named files
+ * Exported images are already compressed, so entries are stored as they are.
+ */
+function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const entries = [];
+    const directory = [];
+    let offset = 0;
+    
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = getCrc32(file.data);
+        // Fields shared by the local header and the central directory entry
+        const writeCommon = (view, start) => {
+            view.setUint16(start, 20, true);
+            view.setUint16(start + 2, 0x0800, true);
+            view.setUint16(start + 4, 0, true);
+            view.setUint16(start + 6, dosTime, true);
+            view.setUint16(start + 8, dosDate, true);
+            view.setUint32(start + 10, crc, true);
+            view.setUint32(start + 14, file.data.length, true);
+            view.setUint32(start + 18, file.data.length, true);
+            view.setUint16(start + 22, name.length, true);
+        };
+        
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        writeCommon(header, 4);
+        
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);
+        writeCommon(entry, 6);
+        entry.setUint32(42, offset, true);
+        
+        entries.push(header, name, file.data);
+        directory.push(entry, name);
+        offset += header.byteLength + name.length + file.data.length;
+    });
+    
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...entries, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Build a looping animated GIF from RGBA frames
+ * Colors are mapped to a fixed 6×7×6 color cube, so frames need no palette pass.
+ */
+function createGifEncoder(width, height) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const bytes = (...values) => chunks.push(Uint8Array.from(values));
+    const word = (value) => [value & 255, (value >> 8) & 255];
+    
+    const palette = new Uint8Array(256 * 3);
+    let entry = 0;
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                palette.set([Math.round(r * 51), Math.round(g * 42.5), Math.round(b * 51)], entry * 3);
+                entry++;
+            }
+        }
+    }
+    
+    chunks.push(encoder.encode('GIF89a'));
+    bytes(...word(width), ...word(height), 0xF7, 0, 0);
+    chunks.push(palette);
+    bytes(0x21, 0xFF, 0x0B, ...encoder.encode('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0);
+    
+    return {
+        addFrame(rgba, delay) {
+            const indices = new Uint8Array(width * height);
+            for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+                indices[i] = Math.round(rgba[p] / 51) * 42 + Math.round(rgba[p + 1] / 42.5) * 6 + Math.round(rgba[p + 2] / 51);
+            }
+            bytes(0x21, 0xF9, 0x04, 0x00, ...word(delay), 0x00, 0x00);
+            bytes(0x2C, 0, 0, 0, 0, ...word(width), ...word(height), 0x00, 8);
+            const data = lzwEncode(indices, 8);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                bytes(block.length);
+                chunks.push(block);
+            }
+            bytes(0);
+        },
+        finish() {
+            bytes(0x3B);
+            return new Blob(chunks, { type: 'image/gif' });
+        }
+    };
+}
+
+/**
+ * Compress color indices with GIF's variable-width LZW
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+    
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            output.push(buffer & 255);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+    
+    emit(clearCode);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (current << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            current = code;
+            continue;
+        }
+        
+        emit(current);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        current = index;
+    }
+    emit(current);
+    emit(endCode);
+    if (bufferBits > 0) {
+        output.push(buffer & 255);
+    }
+    return Uint8Array.from(output);
+}
+
+/**
+ * Show export modal, optionally set to export every open image
+ */
+function showExportModal(all = false) {
+    const settings = state.exportSettings;
+    const count = state.documents.length;
+    elements.exportAllField.classList.toggle('form-field--hidden', count < 2);
+    elements.exportAllCount.textContent = count;
+    elements.exportAll.checked = all && count > 1;
+    elements.exportFormat.value = settings.format;
+    elements.exportQuality.value = Math.round(settings.quality * 100);
+    elements.exportScale.value = String(settings.scale);
+    elements.exportFilename.value = settings.filenameTemplate;
+    updateExportModal();
+    elements.exportModal.classList.remove('modal--hidden');
+    elements.exportFormat.focus();
+}
+
+/**
+ * Hide export modal
+ */
+function hideExportModal() {
+    elements.exportModal.classList.add('modal--hidden');
+}
+
+/**
+ * Read export settings from the modal
+ */
+function readExportForm() {
+    return {
+        format: elements.exportFormat.value,
+        quality: parseInt(elements.exportQuality.value) / 100,
+        scale: parseFloat(elements.exportScale.value),
+        filenameTemplate: elements.exportFilename.value.trim() || DEFAULT_EXPORT_SETTINGS.filenameTemplate
+    };
+}
+
+/**
+ * Update quality visibility and filename preview
+ */
+function updateExportModal() {
+    // Clip formats are only offered for a single clip
+    const allowClip = !!state.clip && !elements.exportAll.checked;
+    [...elements.exportFormat.options].forEach(option => {
+        option.hidden = !allowClip && EXPORT_FORMATS[option.value].clip === true;
+    });
+    if (!allowClip && EXPORT_FORMATS[elements.exportFormat.value].clip) {
+        elements.exportFormat.value = DEFAULT_EXPORT_SETTINGS.format;
+    }
+    
+    const settings = readExportForm();
+    elements.exportQualityField.classList.toggle('form-field--hidden', !EXPORT_FORMATS[settings.format].lossy);
+    elements.exportQualityValue.textContent = `${Math.round(settings.quality * 100)}%`;
+    const filename = formatExportFilename(
+        settings,
+        Math.round(state.canvas.width * settings.scale),
+        Math.round(state.canvas.height * settings.scale)
+    );
+    elements.exportPreview.textContent = elements.exportAll.checked && settings.format !== 'pdf'
+        ? filename.replace(/\.\w+$/, '.zip')
+        : filename;
+}
+
+/**
+ * Save export settings and download
+ */
+function submitExportModal() {
+    state.exportSettings = readExportForm();
+    localStorage.setItem('export-settings', JSON.stringify(state.exportSettings));
+    hideExportModal();
+    downloadImage(elements.exportAll.checked);
+}
+
+/**
+ * Get the base image as a PNG data URL
+ */
+function getBaseImageDataURL() {
+    if (state.baseImage.src && state.baseImage.src.startsWith('data:image/')) {
+        return state.baseImage.src;
+    }
+    const imageCanvas = document.createElement('canvas');
+    imageCanvas.width = state.baseImage.width;
+    imageCanvas.height = state.baseImage.height;
+    imageCanvas.getContext('2d').drawImage(state.baseImage, 0, 0);
+    return imageCanvas.toDataURL('image/png');
+}
+
+/**
+ * Serialize base image and annotations as an editable project
+ */
+function createProjectData() {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        image: {
+            width: state.baseImage.width,
+            height: state.baseImage.height,
+            dataURL: getBaseImageDataURL()
+        },
+        annotations: state.annotations.map(cloneAnnotation)
+    };
 }
 
 /**
- * Stop drawing - FIXED: Store blur annotations properly
+ * Save project file
  */
-function stopDrawing(event) {
-    if (!state.isDrawing) return;
-    
-    const pos = getCanvasMousePosition(state.canvas, event);
-    const endX = pos.x;
-    const endY = pos.y;
-    
-    // For blur tool, store the original imageData BEFORE applying blur
-    if (state.currentTool === 'blur') {
-        const minX = Math.min(state.startX, endX);
-        const minY = Math.min(state.startY, endY);
-        const width = Math.abs(endX - state.startX);
-        const height = Math.abs(endY - state.startY);
-        
-        if (width > 1 && height > 1) {
-            // Store annotation with original imageData for undo
-            state.annotations.push({
-                tool: 'blur',
-                startX: state.startX,
-                startY: state.startY,
-                endX: endX,
-                endY: endY,
-                color: state.currentColor,
-                strokeWidth: state.strokeWidth,
-                originalImageData: state.tempBlurBackup // Store backup for undo
-            });
-            
-            // Apply blur effect
-            applyBlurEffect(minX, minY, width, height);
-        }
-    } else {
-        // For other tools, store annotation normally
-        state.annotations.push({
-            tool: state.currentTool,
-            startX: state.startX,
-            startY: state.startY,
-            endX: endX,
-            endY: endY,
-            color: state.currentColor,
-            strokeWidth: state.strokeWidth
-        });
+function saveProject() {
+    if (!state.baseImage) return;
+    if (state.clip) {
+        showNotification('ℹ️ Clips cannot be saved as projects yet; export WebM or GIF instead', 'info');
+        return;
     }
     
-    state.isDrawing = false;
-    state.tempBlurBackup = null;
-    updateUndoButton();
+    try {
+        const blob = new Blob([JSON.stringify(createProjectData())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `the-deets-${Date.now()}${PROJECT_EXTENSION}`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showNotification('🗂️ Project saved successfully', 'success');
+    } catch (error) {
+        console.error('Project save error:', error);
+        showNotification('❌ Failed to save project', 'error');
+    }
 }
 
 /**
- * Touch handlers
+ * Check whether an uploaded file is a project rather than an image
  */
-function handleTouchStart(event) {
-    event.preventDefault();
-    const touch = event.touches[0];
-    const mouseEvent = new MouseEvent('mousedown', {
-        clientX: touch.clientX,
-        clientY: touch.clientY
-    });
-    state.canvas.dispatchEvent(mouseEvent);
+function isProjectFile(file) {
+    const name = file.name.toLowerCase();
+    return name.endsWith(PROJECT_EXTENSION) || name.endsWith('.json') || file.type === 'application/json';
 }
 
-function handleTouchMove(event) {
-    event.preventDefault();
-    const touch = event.touches[0];
-    const mouseEvent = new MouseEvent('mousemove', {
-        clientX: touch.clientX,
-        clientY: touch.clientY
+/**
+ * Upgrade older project layouts to the current version
+ * Add a step here keyed by the version it upgrades from.
+ */
+const projectMigrations = {
+    // Version 1 stored text HTML-escaped, so "a < b" was saved as "a &lt; b"
+    1: (project) => ({
+        ...project,
+        version: 2,
+        annotations: Array.isArray(project.annotations)
+            ? project.annotations.map(annotation => annotation && annotation.tool === 'text'
+                ? { ...annotation, text: decodeHtmlEntities(annotation.text) }
+                : annotation
+            )
+            : project.annotations
+    })
+};
+
+/**
+ * Decode the entities produced by HTML-escaping text
+ */
+function decodeHtmlEntities(text) {
+    return String(text)
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, '\u00A0')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Validate and migrate parsed project data
+ */
+function parseProject(data) {
+    if (!data || data.format !== PROJECT_FORMAT || typeof data.version !== 'number') {
+        throw new Error('Not a project file');
+    }
+    if (data.version > PROJECT_VERSION) {
+        throw new Error('Project was saved by a newer version');
+    }
+    
+    let project = data;
+    while (project.version < PROJECT_VERSION) {
+        const migrate = projectMigrations[project.version];
+        if (!migrate) {
+            throw new Error(`No migration from version ${project.version}`);
+        }
+        project = migrate(project);
+    }
+    
+    if (!project.image || typeof project.image.dataURL !== 'string' || !project.image.dataURL.startsWith('data:image/')) {
+        throw new Error('Project image is missing');
+    }
+    if (!Array.isArray(project.annotations)) {
+        throw new Error('Project annotations are missing');
+    }
+    
+    // Skip broken entries before reading their ids
+    const annotations = project.annotations.filter(annotation => annotation && typeof annotation.tool === 'string');
+    let nextId = 1;
+    annotations.forEach(annotation => {
+        if (Number.isInteger(annotation.id)) {
+            nextId = Math.max(nextId, annotation.id + 1);
+        }
     });
-    state.canvas.dispatchEvent(mouseEvent);
+    const seenIds = new Set();
+    project.annotations = annotations.map(annotation => {
+        const id = Number.isInteger(annotation.id) && !seenIds.has(annotation.id) ? annotation.id : nextId++;
+        seenIds.add(id);
+        return { ...annotation, id };
+    });
+    
+    return project;
 }
 
 /**
- * Draw arrow
+ * Load project file
  */
-function drawArrow(x1, y1, x2, y2) {
-    const headLength = 15;
-    const angle = Math.atan2(y2 - y1, x2 - x1);
+function loadProjectFile(file) {
+    showProgress('Opening project...');
+    const reader = new FileReader();
     
-    state.ctx.beginPath();
-    state.ctx.moveTo(x1, y1);
-    state.ctx.lineTo(x2, y2);
-    state.ctx.stroke();
+    reader.onload = async (e) => {
+        try {
+            const project = parseProject(JSON.parse(e.target.result));
+            await loadImageToEditor(project.image.dataURL, project.annotations);
+            hideProgress();
+            showNotification('✅ Project opened successfully', 'success');
+        } catch (error) {
+            hideProgress();
+            console.error('Project open error:', error);
+            showNotification(`❌ Failed to open project: ${error.message}`, 'error');
+        }
+    };
     
-    state.ctx.beginPath();
-    state.ctx.moveTo(x2, y2);
-    state.ctx.lineTo(
-        x2 - headLength * Math.cos(angle - Math.PI / 6),
-        y2 - headLength * Math.sin(angle - Math.PI / 6)
-    );
-    state.ctx.moveTo(x2, y2);
-    state.ctx.lineTo(
-        x2 - headLength * Math.cos(angle + Math.PI / 6),
-        y2 - headLength * Math.sin(angle + Math.PI / 6)
-    );
-    state.ctx.stroke();
+    reader.onerror = () => {
+        hideProgress();
+        showNotification('❌ Failed to read project file', 'error');
+    };
+    
+    reader.readAsText(file);
 }
 
 /**
- * Draw rectangle
+ * Create a new autosave session id
  */
-function drawRect(x1, y1, x2, y2) {
-    const width = x2 - x1;
-    const height = y2 - y1;
-    state.ctx.strokeRect(x1, y1, width, height);
+function createSessionId() {
+    return `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 }
 
 /**
- * Draw circle
+ * Open the autosave database
  */
-function drawCircle(x1, y1, x2, y2) {
-    const radius = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-    state.ctx.beginPath();
-    state.ctx.arc(x1, y1, radius, 0, 2 * Math.PI);
-    state.ctx.stroke();
+function openSessionDB() {
+    if (!state.sessionDB) {
+        state.sessionDB = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+            const request = indexedDB.open(SESSION_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return state.sessionDB;
 }
 
 /**
- * Draw highlight
+ * Run a request against the session store inside one transaction
  */
-function drawHighlight(x1, y1, x2, y2) {
-    const width = x2 - x1;
-    const height = y2 - y1;
-    state.ctx.fillRect(x1, y1, width, height);
+async function runSessionRequest(mode, operation) {
+    const db = await openSessionDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SESSION_STORE, mode);
+        const request = operation(transaction.objectStore(SESSION_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
 }
 
 /**
- * Draw blur preview
+ * List saved sessions, newest first
  */
-function drawBlurPreview(x1, y1, x2, y2) {
-    const width = x2 - x1;
-    const height = y2 - y1;
-    state.ctx.fillStyle = 'rgba(150, 150, 150, 0.5)';
-    state.ctx.fillRect(x1, y1, width, height);
-    state.ctx.strokeStyle = '#999999';
-    state.ctx.lineWidth = 2;
-    state.ctx.setLineDash([5, 5]);
-    state.ctx.strokeRect(x1, y1, width, height);
-    state.ctx.setLineDash([]);
+async function listSessions() {
+    const sessions = await runSessionRequest('readonly', store => store.getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
 }
 
 /**
- * Apply blur effect - Pixelation
+ * Render a small JPEG preview of the annotated image
  */
-function applyBlurEffect(x, y, width, height) {
-    if (width < 1 || height < 1) return;
-    
-    try {
-        const safeX = Math.max(0, Math.floor(Math.min(x, state.canvas.width - 1)));
-        const safeY = Math.max(0, Math.floor(Math.min(y, state.canvas.height - 1)));
-        const safeWidth = Math.floor(Math.min(width, state.canvas.width - safeX));
-        const safeHeight = Math.floor(Math.min(height, state.canvas.height - safeY));
-        
-        if (safeWidth < 1 || safeHeight < 1) return;
-        
-        const imageData = state.ctx.getImageData(safeX, safeY, safeWidth, safeHeight);
-        const pixelSize = Math.max(8, state.strokeWidth * 2);
-        
-        for (let py = 0; py < safeHeight; py += pixelSize) {
-            for (let px = 0; px < safeWidth; px += pixelSize) {
-                const pixelIndex = (py * safeWidth + px) * 4;
-                const r = imageData.data[pixelIndex];
-                const g = imageData.data[pixelIndex + 1];
-                const b = imageData.data[pixelIndex + 2];
-                const a = imageData.data[pixelIndex + 3];
-                
-                for (let blockY = py; blockY < Math.min(py + pixelSize, safeHeight); blockY++) {
-                    for (let blockX = px; blockX < Math.min(px + pixelSize, safeWidth); blockX++) {
-                        const blockIndex = (blockY * safeWidth + blockX) * 4;
-                        imageData.data[blockIndex] = r;
-                        imageData.data[blockIndex + 1] = g;
-                        imageData.data[blockIndex + 2] = b;
-                        imageData.data[blockIndex + 3] = a;
-                    }
-                }
-            }
-        }
-        
-        state.ctx.putImageData(imageData, safeX, safeY);
-    } catch (error) {
-        console.error('Blur effect error:', error);
-    }
+function createThumbnail() {
+    const source = createExportCanvas();
+    const scale = Math.min(1, THUMBNAIL_WIDTH / source.width);
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = Math.max(1, Math.round(source.width * scale));
+    thumbCanvas.height = Math.max(1, Math.round(source.height * scale));
+    thumbCanvas.getContext('2d').drawImage(source, 0, 0, thumbCanvas.width, thumbCanvas.height);
+    return thumbCanvas.toDataURL('image/jpeg', 0.7);
 }
 
 /**
- * Redraw canvas - FIXED: Handle blur annotations with restoration
+ * Debounce an autosave of the current session
  */
-function redrawCanvas() {
-    state.ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
-    
-    if (state.baseImage) {
-        state.ctx.drawImage(state.baseImage, 0, 0);
-    }
-    
-    state.annotations.forEach(annotation => {
-        if (annotation.tool === 'blur') {
-            // For blur, apply the effect
-            const minX = Math.min(annotation.startX, annotation.endX);
-            const minY = Math.min(annotation.startY, annotation.endY);
-            const width = Math.abs(annotation.endX - annotation.startX);
-            const height = Math.abs(annotation.endY - annotation.startY);
-            applyBlurEffect(minX, minY, width, height);
-        } else {
-            // For other annotations, redraw them
-            state.ctx.strokeStyle = annotation.color;
-            state.ctx.fillStyle = annotation.tool === 'highlight'
-                ? `${annotation.color}40`
-                : annotation.color;
-            state.ctx.lineWidth = annotation.strokeWidth;
-            state.ctx.lineCap = 'round';
-            state.ctx.lineJoin = 'round';
-            
-            switch (annotation.tool) {
-                case 'arrow':
-                    drawArrow(annotation.startX, annotation.startY, annotation.endX, annotation.endY);
-                    break;
-                case 'rect':
-                    drawRect(annotation.startX, annotation.startY, annotation.endX, annotation.endY);
-                    break;
-                case 'circle':
-                    drawCircle(annotation.startX, annotation.startY, annotation.endX, annotation.endY);
-                    break;
-                case 'highlight':
-                    drawHighlight(annotation.startX, annotation.startY, annotation.endX, annotation.endY);
-                    break;
-                case 'text':
-                    state.ctx.font = `${annotation.fontSize}px Inter, sans-serif`;
-                    state.ctx.fillText(annotation.text, annotation.x, annotation.y);
-                    break;
-            }
-        }
-    });
+function scheduleAutosave() {
+    if (!state.baseImage || !state.sessionId) return;
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = setTimeout(flushAutosave, AUTOSAVE_DELAY);
 }
 
 /**
- * Undo - FIXED: Restore from backup for blur annotations
+ * Save the current session now
+ * The record is built synchronously so it survives leaving the editor.
  */
-function undo() {
-    if (state.annotations.length === 0) return;
+function flushAutosave() {
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = null;
+    if (!state.baseImage || !state.sessionId) return;
     
-    const lastAnnotation = state.annotations[state.annotations.length - 1];
+    let record;
+    try {
+        record = {
+            id: state.sessionId,
+            updatedAt: Date.now(),
+            annotationCount: state.annotations.length,
+            thumbnail: createThumbnail(),
+            project: createProjectData()
+        };
+    } catch (error) {
+        console.error('Autosave error:', error);
+        return;
+    }
     
-    // If last annotation was blur, restore the original imageData
-    if (lastAnnotation.tool === 'blur' && lastAnnotation.originalImageData) {
-        state.ctx.putImageData(lastAnnotation.originalImageData, 0, 0);
+    // The filmstrip shows the same preview
+    const active = getActiveDocument();
+    if (active) {
+        active.thumbnail = record.thumbnail;
+        renderFilmstrip();
     }
     
-    state.annotations.pop();
-    redrawCanvas();
-    updateUndoButton();
-    showNotification('↩️ Annotation undone', 'info');
+    runSessionRequest('readwrite', store => store.put(record))
+        .then(pruneSessions)
+        .then(renderRecentCaptures)
+        .catch(error => console.error('Autosave error:', error));
 }
 
 /**
- * Clear annotations
+ * Drop sessions beyond the recent list limit
  */
-function clearAnnotations() {
-    state.annotations = [];
-    redrawCanvas();
-    updateUndoButton();
-    hideConfirmModal();
-    showNotification('🗑️ All annotations cleared', 'info');
+async function pruneSessions() {
+    const sessions = await listSessions();
+    const stale = sessions.slice(RECENT_SESSION_LIMIT);
+    if (stale.length > 0) {
+        await runSessionRequest('readwrite', store => {
+            stale.forEach(session => store.delete(session.id));
+        });
+    }
 }
 
 /**
- * Update undo button
+ * Reopen a saved session in the editor
  */
-function updateUndoButton() {
-    elements.undoBtn.disabled = state.annotations.length === 0;
+async function restoreSession(session) {
+    hideConfirmModal();
+    try {
+        const project = parseProject(session.project);
+        await loadImageToEditor(project.image.dataURL, project.annotations, session.id);
+        showNotification('✅ Session restored', 'success');
+    } catch (error) {
+        console.error('Session restore error:', error);
+        showNotification('❌ Failed to restore session', 'error');
+    }
 }
 
 /**
- * Download image
+ * Delete a saved session
  */
-function downloadImage() {
+async function deleteSession(id) {
     try {
-        const dataURL = state.canvas.toDataURL('image/png');
-        const link = document.createElement('a');
-        link.download = `the-deets-${Date.now()}.png`;
-        link.href = dataURL;
-        link.click();
-        showNotification('💾 Image downloaded successfully', 'success');
+        await runSessionRequest('readwrite', store => {
+            store.delete(id);
+        });
+        await renderRecentCaptures();
     } catch (error) {
-        console.error('Download error:', error);
-        showNotification('❌ Failed to download image', 'error');
+        console.error('Session delete error:', error);
+        showNotification('❌ Failed to delete capture', 'error');
     }
 }
 
 /**
- * Share image
+ * Show the recent captures list on the capture section
  */
-async function shareImage() {
+async function renderRecentCaptures() {
+    const sessions = await listSessions();
+    elements.recentCapturesList.replaceChildren(...sessions.map(session => {
+        const item = document.createElement('li');
+        item.className = 'recent-captures__item';
+        
+        const openBtn = document.createElement('button');
+        openBtn.className = 'recent-captures__open';
+        openBtn.title = 'Reopen this capture';
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'recent-captures__thumbnail';
+        thumbnail.src = session.thumbnail;
+        thumbnail.alt = '';
+        const label = document.createElement('span');
+        label.className = 'recent-captures__label';
+        label.textContent = `${new Date(session.updatedAt).toLocaleString()} · ${session.annotationCount} annotations`;
+        openBtn.append(thumbnail, label);
+        openBtn.addEventListener('click', () => restoreSession(session));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'recent-captures__delete';
+        deleteBtn.textContent = '✕';
+        deleteBtn.setAttribute('aria-label', 'Remove from recent captures');
+        deleteBtn.title = 'Remove';
+        deleteBtn.addEventListener('click', () => deleteSession(session.id));
+        
+        item.append(openBtn, deleteBtn);
+        return item;
+    }));
+    elements.recentCaptures.classList.toggle('recent-captures--hidden', sessions.length === 0);
+    return sessions;
+}
+
+/**
+ * Offer to restore the last session on startup
+ */
+async function offerSessionRestore() {
     try {
-        const blob = await new Promise(resolve =>
-            state.canvas.toBlob(resolve, 'image/png')
-        );
-        const file = new File([blob], `the-deets-${Date.now()}.png`, { type: 'image/png' });
+        const sessions = await renderRecentCaptures();
+        const last = sessions[0];
+        if (!last || state.baseImage) return;
         
-        if (navigator.share && navigator.canShare({ files: [file] })) {
-            await navigator.share({
-                files: [file],
-                title: 'Annotated Screenshot',
-                text: 'Check out this annotated image from the-deets'
-            });
-            showNotification('📤 Image shared successfully', 'success');
-        } else {
-            await navigator.clipboard.write([
-                new ClipboardItem({ 'image/png': blob })
-            ]);
-            showNotification('📋 Image copied to clipboard', 'success');
-        }
+        showConfirmModal(
+            `Restore your last session from ${new Date(last.updatedAt).toLocaleString()}?`,
+            () => restoreSession(last)
+        );
     } catch (error) {
-        console.error('Share error:', error);
-        showNotification('ℹ️ Sharing not supported. Image downloaded instead.', 'info');
-        downloadImage();
+        console.error('Session restore unavailable:', error);
     }
 }
 
@@ -890,10 +7668,20 @@ async function shareImage() {
  * Back to capture
  */
 function backToCapture() {
+    flushAutosave();
+    state.documents.filter(doc => doc.id !== state.activeDocumentId).forEach(releaseDocument);
+    closeClip();
+    closeRedactionPanel();
+    closeOcrPanel();
+    state.documents = [];
+    state.activeDocumentId = null;
+    state.sessionId = null;
     elements.editorSection.classList.add('section--hidden');
     elements.captureSection.classList.remove('section--hidden');
     state.annotations = [];
+    state.selectedId = null;
     state.baseImage = null;
+    resetHistory();
     elements.imageUpload.value = '';
     hideConfirmModal();
 }
@@ -930,46 +7718,226 @@ function hideConfirmModal() {
 }
 
 /**
- * Show text modal
+ * Open the inline text editor for a new or existing text annotation
+ */
+function openTextEditor(annotation, x, y) {
+    commitTextEditor();
+    const style = annotation
+        ? { color: annotation.color, ...getTextStyle(annotation) }
+        : { color: state.currentColor, ...state.textStyle };
+    const textX = annotation ? annotation.x : x;
+    
+    state.textEditor = {
+        id: annotation ? annotation.id : null,
+        x: textX,
+        y: annotation ? annotation.y : y + style.fontSize,
+        maxWidth: annotation && annotation.maxWidth !== undefined
+            ? annotation.maxWidth
+            : Math.max(style.fontSize * 4, state.canvas.width - textX),
+        style
+    };
+    
+    if (annotation) {
+        state.textStyle = getTextStyle(annotation);
+        syncTextControls();
+    }
+    elements.textEditor.value = annotation ? annotation.text : '';
+    elements.textEditor.classList.remove('text-editor--hidden');
+    styleTextEditor();
+    updateToolOptions();
+    redrawCanvas();
+    elements.textEditor.focus();
+}
+
+/**
+ * Re-edit the text annotation under a double-click
+ */
+function editTextAt(event) {
+    const pos = getCanvasMousePosition(state.canvas, event);
+    const hit = findAnnotationAt(pos.x, pos.y);
+    if (hit && hit.tool === 'text') {
+        openTextEditor(hit);
+    }
+}
+
+/**
+ * Position and style the inline editor over the canvas
+ */
+function styleTextEditor() {
+    const editor = state.textEditor;
+    if (!editor) return;
+    
+    const scale = getCanvasScale();
+    const canvasRect = state.canvas.getBoundingClientRect();
+    const wrapper = elements.textEditor.offsetParent || elements.textEditor.parentElement;
+    const wrapperRect = wrapper.getBoundingClientRect();
+    const { fontSize, background, color } = editor.style;
+    const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+    const contrast = getContrastingTextColor(color);
+    const textarea = elements.textEditor;
+    
+    textarea.style.left = `${canvasRect.left - wrapperRect.left - wrapper.clientLeft + wrapper.scrollLeft + editor.x / scale}px`;
+    textarea.style.top = `${canvasRect.top - wrapperRect.top - wrapper.clientTop + wrapper.scrollTop + (editor.y - fontSize - (lineHeight - fontSize) / 2) / scale}px`;
+    textarea.style.width = `${editor.maxWidth / scale}px`;
+    textarea.style.font = `${editor.style.fontWeight} ${fontSize / scale}px ${TEXT_FONTS[editor.style.fontFamily] || TEXT_FONTS.sans}`;
+    textarea.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    textarea.style.color = background === 'fill' ? contrast : color;
+    textarea.style.backgroundColor = background === 'fill' ? color : 'transparent';
+    textarea.style.textShadow = background === 'outline'
+        ? `0 0 2px ${contrast}, 0 0 2px ${contrast}, 0 0 2px ${contrast}`
+        : 'none';
+    resizeTextEditor();
+}
+
+/**
+ * Grow the inline editor with its content
  */
-function showTextModal(x, y) {
-    elements.textModal.classList.remove('modal--hidden');
-    elements.textModalInput.value = '';
-    elements.textModalInput.focus();
-    state.tempTextX = x;
-    state.tempTextY = y;
+function resizeTextEditor() {
+    elements.textEditor.style.height = 'auto';
+    elements.textEditor.style.height = `${elements.textEditor.scrollHeight}px`;
 }
 
 /**
- * Hide text modal
+ * Hide the inline editor without saving
  */
-function hideTextModal() {
-    elements.textModal.classList.add('modal--hidden');
-    elements.textModalInput.value = '';
+function closeTextEditor() {
+    state.textEditor = null;
+    elements.textEditor.classList.add('text-editor--hidden');
+    elements.textEditor.value = '';
+    updateToolOptions();
 }
 
 /**
- * Submit text modal
+ * Save the inline editor's text as a new or updated annotation
  */
-function submitTextModal() {
-    const text = sanitizeInput(elements.textModalInput.value.trim());
-    if (!text) {
-        hideTextModal();
+function commitTextEditor() {
+    const editor = state.textEditor;
+    if (!editor) return;
+    
+    const text = elements.textEditor.value.trimEnd();
+    closeTextEditor();
+    
+    const props = { x: editor.x, y: editor.y, text, maxWidth: editor.maxWidth, ...editor.style };
+    const current = editor.id === null ? null : getAnnotationById(editor.id);
+    
+    if (!current) {
+        if (text.trim()) {
+            addAnnotation(createAnnotation({ tool: 'text', ...props }));
+        } else {
+            redrawCanvas();
+        }
         return;
     }
     
-    state.annotations.push({
-        tool: 'text',
-        x: state.tempTextX,
-        y: state.tempTextY,
-        text: text,
-        color: state.currentColor,
-        fontSize: state.strokeWidth * 5
-    });
+    if (!text.trim()) {
+        executeCommand({
+            type: 'delete',
+            annotation: cloneAnnotation(current),
+            index: state.annotations.indexOf(current)
+        });
+        return;
+    }
     
-    redrawCanvas();
-    updateUndoButton();
-    hideTextModal();
+    const updated = { ...cloneAnnotation(current), ...props };
+    if (isSameAnnotation(current, updated)) {
+        redrawCanvas();
+        return;
+    }
+    executeCommand({ type: 'update', before: cloneAnnotation(current), after: updated });
+}
+
+/**
+ * Ask whether a pasted or dropped image replaces the base image or becomes an overlay
+ */
+function showImportModal(dataURL, point = null) {
+    state.pendingImport = { dataURL, point };
+    elements.importModal.classList.remove('modal--hidden');
+    elements.importOverlay.focus();
+}
+
+/**
+ * Hide import modal and forget the pending image
+ */
+function hideImportModal() {
+    state.pendingImport = null;
+    elements.importModal.classList.add('modal--hidden');
+}
+
+/**
+ * Use the pending image in a new tab, as the new base image or as an overlay
+ */
+function submitImportModal(mode) {
+    const pending = state.pendingImport;
+    hideImportModal();
+    if (!pending) return;
+    
+    if (mode === 'overlay') {
+        insertImageOverlay(pending.dataURL, pending.point);
+        return;
+    }
+    if (mode === 'tab') {
+        loadImageToEditor(pending.dataURL)
+            .then(() => showNotification('✅ Image opened in a new tab', 'success'))
+            .catch(handleImageOpenError);
+        return;
+    }
+    flushAutosave();
+    loadImageToEditor(pending.dataURL, [], createSessionId(), true)
+        .then(() => showNotification('✅ Image replaced; the previous capture is in Recent Captures', 'success'))
+        .catch(handleImageOpenError);
+}
+
+/**
+ * Show canvas size modal with the current image size
+ */
+function showResizeModal() {
+    if (!state.baseImage) return;
+    commitTextEditor();
+    elements.resizeWidth.value = state.canvas.width;
+    elements.resizeHeight.value = state.canvas.height;
+    elements.resizePadding.value = 0;
+    elements.resizeModal.classList.remove('modal--hidden');
+    elements.resizeWidth.focus();
+}
+
+/**
+ * Hide canvas size modal
+ */
+function hideResizeModal() {
+    elements.resizeModal.classList.add('modal--hidden');
+}
+
+/**
+ * Keep the other dimension in proportion while aspect ratio is locked
+ */
+function syncResizeAspect(changed) {
+    if (!elements.resizeKeepAspect.checked) return;
+    const aspect = state.canvas.width / state.canvas.height;
+    
+    if (changed === 'width') {
+        elements.resizeHeight.value = Math.round(parseInt(elements.resizeWidth.value) / aspect) || '';
+    } else {
+        elements.resizeWidth.value = Math.round(parseInt(elements.resizeHeight.value) * aspect) || '';
+    }
+}
+
+/**
+ * Validate and apply the canvas size modal
+ */
+function submitResizeModal() {
+    const width = parseInt(elements.resizeWidth.value);
+    const height = parseInt(elements.resizeHeight.value);
+    const padding = parseInt(elements.resizePadding.value) || 0;
+    const isValidSize = (size) => size >= MIN_IMAGE_SIZE && size <= MAX_IMAGE_SIZE;
+    
+    if (!isValidSize(width) || !isValidSize(height) || padding < 0 || !isValidSize(width + padding * 2) || !isValidSize(height + padding * 2)) {
+        showNotification(`⚠️ Size must be between ${MIN_IMAGE_SIZE} and ${MAX_IMAGE_SIZE} pixels`, 'error');
+        return;
+    }
+    
+    hideResizeModal();
+    resizeImage(width, height, padding, elements.resizePaddingColor.value);
+    showNotification(`📐 Canvas is now ${state.canvas.width}×${state.canvas.height}`, 'success');
 }
 
 /**
@@ -1002,7 +7970,10 @@ function toggleTheme() {
  */
 function hideAllModals() {
     hideConfirmModal();
-    hideTextModal();
+    resolveBurstPick(null);
+    hideImportModal();
+    hideResizeModal();
+    hideExportModal();
     hideGuideModal();
 }
 